@@ -1,39 +1,26 @@
 // Brainwave Sync (Isochronic pulses) + Schedule canvas
 
+import {
+  getTotalDuration, getLayerOpts, getBeatAt, getCarrierAt, getEnvelopeAt, getNoiseLevelAt, hasEnvelope,
+  getPulseFloor, createPulseCurve, isPanned, createNoiseGenerator, ambientLoopTiming,
+  createWavHeader, OggOpusEncoder, EXPORT_FORMATS, PresetExport,
+  PRESET_SCHEMA_VERSION, migratePreset, validatePreset, parsePresetsFile, presetToOpts, getExportOpts,
+} from './synth.js';
+
 // ====================================================================
-// Standalone utility functions for calculation and rendering
+// Schedule Graph
 // ====================================================================
 
-function getTotalDuration(opts) {
-  return opts.stages.reduce((sum, s) => sum + s.duration, 0);
-}
-
-function getBeatAt(sec, opts) {
-  const { startBeatHz, stages } = opts;
-  if (sec <= 0) return startBeatHz;
-
-  let cumulativeTime = 0;
-  let previousBeat = startBeatHz;
-
-  for (const stage of stages) {
-    const stageStartTime = cumulativeTime;
-    const stageEndTime = cumulativeTime + stage.duration;
-
-    if (sec < stageEndTime) {
-      const timeIntoStage = sec - stageStartTime;
-      if (stage.duration === 0) return previousBeat; // Avoid division by zero
-      const k = timeIntoStage / stage.duration;
-      return previousBeat + (stage.beat - previousBeat) * k;
-    }
-
-    cumulativeTime = stageEndTime;
-    previousBeat = stage.beat;
-  }
-
-  return previousBeat;
-}
+// Beat line colour of the main schedule (index 0) and each extra layer
+const LAYER_COLORS = ['#60a5fa', '#c084fc', '#fb923c', '#2dd4bf', '#facc15'];
+const layerColor = index => LAYER_COLORS[index % LAYER_COLORS.length];
 
-function drawSchedule(canvas, opts, elapsed = 0) {
+// `view` is optional: `totalDuration`, `yMin` and `yMax` pin the scale (used
+// while dragging a point), `highlight` is a point index to ring and `tooltip`
+// lines are drawn next to it. `editLayer` picks the layer whose points are
+// marked (0, the default, is the main schedule). Returns the layout needed to
+// hit-test points.
+function drawSchedule(canvas, opts, elapsed = 0, view = {}) {
   const ctx = canvas.getContext('2d');
   const W = canvas.clientWidth, H = canvas.clientHeight;
   const dpr = devicePixelRatio || 1;
@@ -42,17 +29,54 @@ function drawSchedule(canvas, opts, elapsed = 0) {
   ctx.setTransform(dpr,0,0,dpr,0,0);
   ctx.clearRect(0,0,W,H);
 
-  const { startBeatHz, stages } = opts;
-  const totalDuration = Math.max(1, getTotalDuration(opts));
-  const allBeats = [startBeatHz, ...stages.map(s => s.beat)];
+  const { stages } = opts;
+  const layers = (opts.layers ?? []).map(layer => getLayerOpts(layer, opts));
+  const editLayer = layers[view.editLayer - 1] ? view.editLayer : 0;
+  const pointOpts = editLayer ? layers[editLayer - 1] : opts;
+  const totalDuration = view.totalDuration ?? Math.max(1, getTotalDuration(opts));
+  const allBeats = [opts, ...layers].flatMap(o => [o.startBeatHz, ...o.stages.map(s => s.beat)]);
 
-  const margin = {top: 20, right: 20, bottom: 30, left: 35};
+  // Carrier values at each point; the carrier trace is only drawn if it changes
+  let pointTime = 0;
+  const allCarriers = [opts.carrierHz, ...stages.map(s => getCarrierAt(pointTime += s.duration, opts))];
+  const showCarrier = allCarriers.some(hz => hz !== opts.carrierHz);
+
+  const margin = {top: 20, right: showCarrier ? 45 : 20, bottom: 30, left: 35};
   
-  const yMin = Math.min(...allBeats) - 1;
-  const yMax = Math.max(...allBeats) + 1;
+  const yMin = view.yMin ?? Math.min(...allBeats) - 1;
+  const yMax = view.yMax ?? Math.max(...allBeats) + 1;
+  const carrierPad = Math.max(10, (Math.max(...allCarriers) - Math.min(...allCarriers)) * 0.1);
+  const cMin = Math.max(0, Math.min(...allCarriers) - carrierPad);
+  const cMax = Math.max(...allCarriers) + carrierPad;
 
   const xMap = s => margin.left + (s/totalDuration)*(W - margin.left - margin.right);
   const yMap = hz => H - margin.bottom - ((hz - yMin)/(yMax - yMin)) * (H - margin.top - margin.bottom);
+  const cMap = hz => H - margin.bottom - ((hz - cMin)/(cMax - cMin)) * (H - margin.top - margin.bottom);
+
+  // Traces a scheduled value over the whole session, sampling curved stages
+  // so the graph matches playback
+  const traceProgram = (valueAt, map, traceStages = stages) => {
+    ctx.beginPath();
+    ctx.moveTo(xMap(0), map(valueAt(0)));
+    let cumulativeTime = 0;
+    for (const stage of traceStages) {
+      const curve = stage.curve || 'linear';
+      if (curve === 'step') {
+        ctx.lineTo(xMap(cumulativeTime), map(valueAt(cumulativeTime + stage.duration)));
+      } else if (curve !== 'linear') {
+        const steps = 48;
+        for (let i = 1; i < steps; i++) {
+          const t = cumulativeTime + (i / steps) * stage.duration;
+          ctx.lineTo(xMap(t), map(valueAt(t)));
+        }
+      }
+      cumulativeTime += stage.duration;
+      ctx.lineTo(xMap(cumulativeTime), map(valueAt(cumulativeTime)));
+    }
+    // A schedule shorter than the session holds its last value
+    if (cumulativeTime < totalDuration) ctx.lineTo(xMap(totalDuration), map(valueAt(cumulativeTime)));
+    ctx.stroke();
+  };
 
   // Draw Grid
   ctx.globalAlpha = .2; ctx.strokeStyle = '#94a3b8'; ctx.beginPath();
@@ -76,6 +100,17 @@ function drawSchedule(canvas, opts, elapsed = 0) {
     ctx.fillText(hz.toFixed(1), margin.left - 8, y);
   }
 
+  // Right Y-Axis (carrier Hz)
+  if (showCarrier) {
+    ctx.fillStyle = '#f472b6';
+    ctx.textAlign = 'left';
+    for (let i = 0; i <= numYLabels; i++) {
+      const hz = cMin + (i / numYLabels) * (cMax - cMin);
+      ctx.fillText(hz.toFixed(0), W - margin.right + 6, cMap(hz));
+    }
+    ctx.fillStyle = '#94a3b8';
+  }
+
   // X-Axis (Time)
   ctx.textAlign = 'center';
   ctx.textBaseline = 'top';
@@ -98,29 +133,66 @@ function drawSchedule(canvas, opts, elapsed = 0) {
     ctx.fillText(timeString, x, H - margin.bottom + 8);
   }
 
-  // Draw Program Line
-  ctx.strokeStyle = '#60a5fa'; ctx.lineWidth = 2;
-  ctx.beginPath();
-  ctx.moveTo(xMap(0), yMap(startBeatHz));
-  let cumulativeTime = 0;
-  for (const stage of stages) {
-    cumulativeTime += stage.duration;
-    ctx.lineTo(xMap(cumulativeTime), yMap(getBeatAt(cumulativeTime, opts)));
+  // Draw Volume Envelope (0-100% over the full plot height)
+  if (hasEnvelope(opts)) {
+    const eMap = g => H - margin.bottom - g * (H - margin.top - margin.bottom);
+    const plotWidth = W - margin.left - margin.right;
+    ctx.beginPath();
+    ctx.moveTo(xMap(0), eMap(0));
+    for (let px = 0; px <= plotWidth; px++) {
+      const t = (px / plotWidth) * totalDuration;
+      ctx.lineTo(margin.left + px, eMap(getEnvelopeAt(t, opts)));
+    }
+    ctx.lineTo(xMap(totalDuration), eMap(0));
+    ctx.closePath();
+    ctx.fillStyle = 'rgba(52, 211, 153, 0.12)'; ctx.fill();
+    ctx.strokeStyle = 'rgba(52, 211, 153, 0.6)'; ctx.lineWidth = 1; ctx.stroke();
+  }
+
+  // Draw Carrier Line
+  if (showCarrier) {
+    ctx.strokeStyle = '#f472b6'; ctx.lineWidth = 1.5;
+    ctx.setLineDash([4, 3]);
+    traceProgram(t => getCarrierAt(t, opts), cMap);
+    ctx.setLineDash([]);
+  }
+
+  // Draw Program Lines, the layer being edited on top
+  const programs = [opts, ...layers].map((o, i) => ({ o, i })).sort((a, b) => (a.i === editLayer) - (b.i === editLayer));
+  for (const { o, i } of programs) {
+    ctx.strokeStyle = layerColor(i); ctx.lineWidth = i === editLayer ? 2 : 1.5;
+    traceProgram(t => getBeatAt(t, o), yMap, o.stages);
+  }
+
+  // Layer legend
+  if (layers.length > 0) {
+    ctx.font = '11px system-ui'; ctx.textAlign = 'right'; ctx.textBaseline = 'top';
+    [opts, ...layers].forEach((o, i) => {
+      ctx.fillStyle = layerColor(i);
+      ctx.fillText(`${i === editLayer ? '▸ ' : ''}Layer ${i + 1} · ${o.beatMode}`, W - margin.right - 4, margin.top + i * 14);
+    });
   }
-  ctx.stroke();
 
   // Draw stage point markers
-  ctx.fillStyle = '#60a5fa';
-  ctx.beginPath();
-  ctx.arc(xMap(0), yMap(startBeatHz), 3.5, 0, Math.PI * 2);
-  ctx.fill();
-  cumulativeTime = 0;
-  for (const stage of stages) {
+  const points = [{ x: xMap(0), y: yMap(pointOpts.startBeatHz), time: 0 }];
+  let cumulativeTime = 0;
+  for (const stage of pointOpts.stages) {
     cumulativeTime += stage.duration;
+    points.push({ x: xMap(cumulativeTime), y: yMap(getBeatAt(cumulativeTime, pointOpts)), time: cumulativeTime });
+  }
+  ctx.fillStyle = layerColor(editLayer);
+  for (const point of points) {
     ctx.beginPath();
-    ctx.arc(xMap(cumulativeTime), yMap(getBeatAt(cumulativeTime, opts)), 3.5, 0, Math.PI * 2);
+    ctx.arc(point.x, point.y, 3.5, 0, Math.PI * 2);
     ctx.fill();
   }
+  const highlighted = points[view.highlight];
+  if (highlighted) {
+    ctx.strokeStyle = '#e5e7eb'; ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    ctx.arc(highlighted.x, highlighted.y, 7, 0, Math.PI * 2);
+    ctx.stroke();
+  }
 
   // Draw point labels
   ctx.fillStyle = '#cbd5e1';
@@ -137,15 +209,16 @@ function drawSchedule(canvas, opts, elapsed = 0) {
   };
 
   // Label for start point
+  const { startBeatHz } = pointOpts;
   ctx.fillText(`${startBeatHz.toFixed(1)}Hz`, xMap(0), yMap(startBeatHz) - 18);
   ctx.fillText(formatTimeLabel(0), xMap(0), yMap(startBeatHz) - 7);
 
   // Labels for other points
   cumulativeTime = 0;
-  for (const stage of stages) {
+  for (const stage of pointOpts.stages) {
       if (stage.duration === 0) continue;
       cumulativeTime += stage.duration;
-      const beat = getBeatAt(cumulativeTime, opts);
+      const beat = getBeatAt(cumulativeTime, pointOpts);
       const x = xMap(cumulativeTime);
       const y = yMap(beat);
       ctx.fillText(`${beat.toFixed(1)}Hz`, x, y - 18);
@@ -164,55 +237,137 @@ function drawSchedule(canvas, opts, elapsed = 0) {
     ctx.textAlign = 'left';
     ctx.fillText(`beat≈${getBeatAt(t, opts).toFixed(2)} Hz`, x+8, y-8);
   }
+
+  // Draw the position a seek is being previewed at
+  if (view.scrubTo != null) {
+    const t = Math.min(view.scrubTo, totalDuration);
+    const x = xMap(t);
+    ctx.strokeStyle = '#fbbf24'; ctx.lineWidth = 1.5;
+    ctx.beginPath(); ctx.moveTo(x, margin.top); ctx.lineTo(x, H-margin.bottom); ctx.stroke();
+    ctx.fillStyle = '#fbbf24'; ctx.font = '12px system-ui';
+    ctx.textAlign = x > W / 2 ? 'right' : 'left';
+    ctx.textBaseline = 'top';
+    ctx.fillText(`${formatClock(view.scrubTo)} · ${getBeatAt(t, opts).toFixed(2)} Hz`, x + (x > W / 2 ? -6 : 6), margin.top);
+  }
+
+  // Draw Tooltip, flipped to stay inside the canvas
+  if (highlighted && view.tooltip?.length) {
+    ctx.font = '12px system-ui';
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+    const lineHeight = 16, pad = 6;
+    const boxW = Math.max(...view.tooltip.map(line => ctx.measureText(line).width)) + pad * 2;
+    const boxH = view.tooltip.length * lineHeight + pad * 2 - 4;
+    let boxX = highlighted.x + 12, boxY = highlighted.y + 12;
+    if (boxX + boxW > W) boxX = highlighted.x - 12 - boxW;
+    if (boxY + boxH > H) boxY = highlighted.y - 12 - boxH;
+    ctx.fillStyle = 'rgba(15, 23, 42, 0.92)';
+    ctx.fillRect(boxX, boxY, boxW, boxH);
+    ctx.fillStyle = '#e5e7eb';
+    view.tooltip.forEach((line, i) => ctx.fillText(line, boxX + pad, boxY + pad + i * lineHeight));
+  }
+
+  return {
+    points, totalDuration, yMin, yMax,
+    xToTime: x => ((x - margin.left) / (W - margin.left - margin.right)) * totalDuration,
+    yToBeat: y => yMin + ((H - margin.bottom - y) / (H - margin.top - margin.bottom)) * (yMax - yMin),
+  };
+}
+
+// ====================================================================
+// Looping Noise & Ambient Sources
+// ====================================================================
+
+const NOISE_LOOP_SECONDS = 8;
+
+// A mono noise buffer that loops seamlessly: the tail is generated past the
+// loop point and crossfaded (equal power) into the head.
+function createNoiseBuffer(ctx, type) {
+  const length = Math.floor(NOISE_LOOP_SECONDS * ctx.sampleRate);
+  const fade = Math.floor(ctx.sampleRate / 2);
+  const raw = createNoiseGenerator(type)(new Float32Array(length + fade));
+  const buffer = ctx.createBuffer(1, length, ctx.sampleRate);
+  const data = buffer.getChannelData(0);
+  data.set(raw.subarray(0, length));
+  for (let i = 0; i < fade; i++) {
+    const k = i / fade;
+    data[i] = raw[i] * Math.sqrt(k) + raw[length + i] * Math.sqrt(1 - k);
+  }
+  return buffer;
 }
 
+// Equal-power gain curves for the ambient loop crossfade
+const AMBIENT_FADE_IN = Float32Array.from({ length: 64 }, (_, i) => Math.sqrt(i / 63));
+const AMBIENT_FADE_OUT = AMBIENT_FADE_IN.slice().reverse();
+// How far ahead the next ambient loop pass is scheduled
+const AMBIENT_LOOKAHEAD_SECONDS = 1;
+
 // ====================================================================
-// Audio Engine Class
+// Audio Engine Base Class
 // ====================================================================
 
-class BrainwaveIso {
-  constructor(opts) {
-    this.ctx = new (window.AudioContext || window.webkitAudioContext)();
+// How long stop() takes to ramp the output down before tearing the graph down
+const STOP_RAMP_SECONDS = 0.05;
+// Crossfade when beatMode changes during playback
+const MODE_CROSSFADE_SECONDS = 1;
+// Largest FFT, for ~1.5 Hz bins when measuring binaural carriers
+const ANALYSER_FFT_SIZE = 32768;
+
+// Shared lifecycle for all beat engines. Subclasses build their node graph in
+// _build(offset) and drive it from _schedule(startTime), which must re-arm
+// itself through this.timer while the engine is running.
+// The engine for a session also plays its extra layers (opts.layers), each
+// with an engine of the layer's mode that shares this one's AudioContext and
+// feeds its envelope stage (`parent`).
+class BrainwaveEngine {
+  constructor(opts, parent = null) {
+    this.parent = parent;
+    this.ctx = parent ? parent.ctx : new (window.AudioContext || window.webkitAudioContext)();
     this.opts = opts;
+    this.layers = [];
     this.totalDuration = getTotalDuration(opts);
     this.started = false;
     this.nodes = {};
-    this.pulseTimer = null;
+    this.timer = null;
     this.pausedTime = 0;
   }
 
-  _build(offset = 0) {
-    const o = this.opts;
-    const carrier = this.ctx.createOscillator();
-    carrier.type = 'sine';
-    carrier.frequency.value = o.carrierHz;
-
-    const outGain = this.ctx.createGain();
-    outGain.gain.value = 0; // Start at 0 for fade-in
-
-    const pulseGain = this.ctx.createGain();
-    pulseGain.gain.value = 0; // This will be controlled by the scheduler
-
-    carrier.connect(pulseGain).connect(outGain).connect(this.ctx.destination);
-
-    carrier.start();
-
-    this.nodes = {carrier, outGain, pulseGain};
-    this.t0 = this.ctx.currentTime - offset;
-  }
-
-  start(offset = 0) {
+  // `fadeSeconds` ramps the output in linearly, for crossfading from another
+  // engine; by default it comes in with a quick de-click fade
+  start(offset = 0, fadeSeconds = 0) {
     if (this.started) return;
     if (this.ctx.state === 'suspended') this.ctx.resume();
+    this.fading = false;
     this._build(offset);
     const t = this.ctx.currentTime;
     try {
       if (!this.opts.muted) {
-        this.nodes.outGain.gain.setTargetAtTime(this.opts.volume ?? 1.0, t, 0.05);
+        if (fadeSeconds > 0) this.nodes.outGain.gain.linearRampToValueAtTime(this.opts.volume ?? 1.0, t + fadeSeconds);
+        else this.nodes.outGain.gain.setTargetAtTime(this.opts.volume ?? 1.0, t, 0.05);
       }
     } catch {} // Ignore errors
     this.started = true;
-    this.schedulePulses(this.ctx.currentTime);
+    this._schedule(this.ctx.currentTime);
+    this._updateLayers(offset);
+  }
+
+  // Starts, updates or stops layer engines to match opts.layers
+  _updateLayers(elapsed) {
+    if (this.parent) return;
+    const layers = this.opts.layers ?? [];
+    this.layers.slice(layers.length).forEach(layer => layer.stop());
+    this.layers = layers.map((layer, i) => {
+      const Engine = ENGINES[layer.beatMode] || BrainwaveIso;
+      const current = this.layers[i];
+      if (current && current.constructor === Engine) {
+        current.update(getLayerOpts(layer, this.opts));
+        return current;
+      }
+      current?.stop();
+      const engine = new Engine(getLayerOpts(layer, this.opts), this);
+      engine.start(elapsed);
+      return engine;
+    });
   }
 
   pause() {
@@ -225,81 +380,249 @@ class BrainwaveIso {
   stop() {
     if (!this.started) return;
     this.started = false; // Stop the scheduler loop
-    if (this.pulseTimer) {
-      clearTimeout(this.pulseTimer);
-      this.pulseTimer = null;
+    this.layers.forEach(layer => layer.stop());
+    this.layers = [];
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
     }
     const t = this.ctx.currentTime;
+    const nodes = this.nodes;
+    const ambientSources = this.ambient?.sources;
+    // A short linear ramp from wherever the gain is now, so stopping (and
+    // seeking, which stops and rebuilds) does not click
     try {
-      this.nodes.pulseGain.gain.cancelScheduledValues(t);
-      this.nodes.outGain.gain.setTargetAtTime(0.0001, t, 0.05);
+      const gain = nodes.outGain.gain;
+      gain.cancelScheduledValues(t);
+      gain.setValueAtTime(gain.value, t);
+      gain.linearRampToValueAtTime(0, t + STOP_RAMP_SECONDS);
     } catch {} // Ignore errors
+    // Tear down this graph only, in case start() has already built a new one (seeking)
     setTimeout(() => {
-      Object.values(this.nodes).forEach(n => { try { n.stop?.(); n.disconnect?.(); } catch{} });
-      this.nodes = {};
+      Object.values(nodes).forEach(n => { try { n.stop?.(); n.disconnect?.(); } catch{} });
+      ambientSources?.forEach(source => { try { source.stop(); } catch {} });
+      if (this.nodes === nodes) this.nodes = {};
     }, 200);
   }
 
-  schedulePulses(startTime) {
-    if (!this.started) return;
+  // Fades out over `fadeSeconds` while still playing (for crossfading to
+  // another engine), then stops for good and releases the AudioContext
+  close(fadeSeconds = 0) {
+    if (this.started && fadeSeconds > 0) this.fadeOut(fadeSeconds);
+    setTimeout(() => {
+      this.stop();
+      setTimeout(() => this.ctx.close().catch(() => {}), 250);
+    }, fadeSeconds * 1000);
+  }
 
-    const now = this.ctx.currentTime;
-    const elapsed = now - this.t0;
+  // Creates the envelope and master gain stages plus the optional noise
+  // layer. Sources connect to envGain; outGain carries volume, mute and the
+  // start/stop de-click fades. A layer's outGain carries its gain and feeds
+  // the parent's envGain; noise, ambient sound and analysers are the parent's.
+  _createOutput(offset) {
+    const o = this.opts;
+    const envGain = this.ctx.createGain();
+    envGain.gain.value = getEnvelopeAt(offset, o);
+    const outGain = this.ctx.createGain();
+    outGain.gain.value = 0; // Start at 0 for fade-in
+    envGain.connect(outGain).connect(this.parent ? this.parent.nodes.envGain : this.ctx.destination);
+    if (this.parent) return { envGain, outGain };
+    return {
+      envGain,
+      outGain,
+      ...this._createAnalysers(outGain),
+      ...this._createNoise(envGain, getNoiseLevelAt(offset, o)),
+      ...this._createAmbient(envGain, offset),
+    };
+  }
 
-    if (this.opts.endAction !== 'hold' && elapsed > this.totalDuration) {
-        if (typeof stopAllPlayback === 'function') stopAllPlayback();
-        else {
-          this.stop();
-          requestAnimationFrame(() => { q('togglePlaybackBtn').textContent = 'Start'; });
-        }
+  // Taps outGain for the visualizer with one analyser per channel. Mono
+  // engines are upmixed first, so both channels show what the speakers play.
+  _createAnalysers(outGain) {
+    const analyserTap = this.ctx.createGain();
+    analyserTap.channelCount = 2;
+    analyserTap.channelCountMode = 'explicit';
+    analyserTap.channelInterpretation = 'speakers';
+    const splitter = this.ctx.createChannelSplitter(2);
+    outGain.connect(analyserTap).connect(splitter);
+    const [analyserL, analyserR] = [0, 1].map(channel => {
+      const analyser = this.ctx.createAnalyser();
+      analyser.fftSize = ANALYSER_FFT_SIZE;
+      splitter.connect(analyser, channel);
+      return analyser;
+    });
+    return { analyserTap, splitter, analyserL, analyserR };
+  }
+
+  // The looping noise layer for opts.noiseType, if any, at `level`
+  _createNoise(envGain, level) {
+    const o = this.opts;
+    if (!o.noiseType || o.noiseType === 'off') return {};
+
+    const noise = this.ctx.createBufferSource();
+    noise.buffer = createNoiseBuffer(this.ctx, o.noiseType);
+    noise.loop = true;
+    const noiseGain = this.ctx.createGain();
+    noiseGain.gain.value = level;
+    noise.connect(noiseGain).connect(envGain);
+    noise.start();
+    return { noise, noiseGain };
+  }
+
+  // The ambient sound layer: the decoded file plays through ambientGain into
+  // envGain, so it follows the envelope like the noise layer. Sources are
+  // started by _scheduleAmbient; when looping, each pass starts one loop
+  // period after the previous one and the overlap is crossfaded, matching
+  // SampleRenderer. Without a decoded file (still loading, or not on this
+  // device) there is no layer.
+  _createAmbient(envGain, offset) {
+    const a = this.opts.ambient;
+    const buffer = a && cachedAmbient(a.id);
+    this.ambient = null;
+    if (!buffer) return {};
+    const ambientGain = this.ctx.createGain();
+    ambientGain.gain.value = a.level;
+    ambientGain.connect(envGain);
+    this.ambient = { buffer, loop: a.loop, ...ambientLoopTiming(buffer.duration, a.crossfadeSec), start: offset, pass: null, passGain: null, sources: new Set() };
+    return { ambientGain };
+  }
+
+  _scheduleAmbient() {
+    const ambient = this.ambient;
+    if (!ambient) return;
+    const now = this.ctx.currentTime;
+    if (ambient.pass === null) {
+      // The first pass starts mid-file when starting or seeking past 0
+      const position = Math.max(0, now - this.t0);
+      if (!ambient.loop) {
+        if (position < ambient.buffer.duration) this._startAmbientSource(now, position, false);
+        ambient.pass = Infinity;
         return;
+      }
+      const pass = Math.floor(position / ambient.period);
+      this._startAmbientSource(now, position - pass * ambient.period, false);
+      ambient.pass = pass + 1;
     }
+    while (ambient.loop && this.t0 + ambient.pass * ambient.period < now + AMBIENT_LOOKAHEAD_SECONDS) {
+      const when = this.t0 + ambient.pass * ambient.period;
+      const late = Math.max(0, now - when);
+      this._startAmbientSource(when + late, late, late === 0);
+      ambient.pass++;
+    }
+  }
 
-    const scheduleAheadTime = 0.2;
-    let nextPulseTime = startTime;
+  _startAmbientSource(when, position, crossfade) {
+    const ambient = this.ambient;
+    const source = this.ctx.createBufferSource();
+    source.buffer = ambient.buffer;
+    const passGain = this.ctx.createGain();
+    source.connect(passGain).connect(this.nodes.ambientGain);
+    if (crossfade && ambient.fade > 0) {
+      try {
+        passGain.gain.setValueCurveAtTime(AMBIENT_FADE_IN, when, ambient.fade);
+        ambient.passGain?.gain.setValueCurveAtTime(AMBIENT_FADE_OUT, when, ambient.fade);
+      } catch {} // Ignore errors
+    }
+    source.start(when, position);
+    ambient.sources.add(source);
+    source.onended = () => {
+      ambient.sources.delete(source);
+      passGain.disconnect();
+    };
+    ambient.passGain = passGain;
+  }
 
-    while (nextPulseTime < now + scheduleAheadTime) {
-      const currentElapsed = nextPulseTime - this.t0;
-      const beatHz = getBeatAt(currentElapsed, this.opts);
-      if (beatHz <= 0) {
-          if (this.opts.endAction !== 'hold' && currentElapsed > this.totalDuration) {
-              if (typeof stopAllPlayback === 'function') stopAllPlayback();
-              else {
-                this.stop();
-                requestAnimationFrame(() => { q('togglePlaybackBtn').textContent = 'Start'; });
-              }
-              return;
-          }
-          nextPulseTime += 0.5;
-          continue;
-      }
-      const period = 1 / beatHz;
-      const pulseDuration = period / 2;
-      const peakTime = nextPulseTime + pulseDuration / 2;
-      const endTime = nextPulseTime + pulseDuration;
+  // Ramps a layer's gain to 0 and then stops and disconnects its nodes
+  _retireLayer(gain, nodes) {
+    const t = this.ctx.currentTime;
+    try {
+      gain.gain.cancelScheduledValues(t);
+      gain.gain.setValueAtTime(gain.gain.value, t);
+      gain.gain.linearRampToValueAtTime(0, t + STOP_RAMP_SECONDS);
+    } catch {} // Ignore errors
+    setTimeout(() => {
+      [...nodes, gain].forEach(n => { try { n.stop?.(); n.disconnect?.(); } catch {} });
+    }, 200);
+  }
+
+  // Applies edited options while running. The schedulers read this.opts on
+  // every tick and ramp towards it, so only a new noise type or ambient file
+  // needs nodes swapped; a different beatMode needs a different engine (see
+  // applyLiveChanges). Volume and mute stay as they are.
+  update(opts) {
+    const previous = this.opts;
+    // A layer's volume is its gain, which is edited with the rest of the layer
+    this.opts = this.parent ? opts : { ...opts, volume: previous.volume, muted: previous.muted };
+    this.totalDuration = getTotalDuration(opts);
+    if (!this.started) return;
+    if (this.parent && opts.volume !== previous.volume) this.setVolume(opts.volume);
+    this._updateLayers(this.elapsed());
+
+    if (opts.noiseType !== previous.noiseType) {
+      const { noise, noiseGain, ...nodes } = this.nodes;
+      if (noiseGain) this._retireLayer(noiseGain, [noise]);
+      // The new layer starts silent and _updateLevels ramps it in
+      this.nodes = { ...nodes, ...this._createNoise(nodes.envGain, 0) };
+    }
 
-      const gain = this.nodes.pulseGain.gain;
-      
-      gain.setValueAtTime(0, nextPulseTime);
-      gain.linearRampToValueAtTime(1, peakTime);
-      gain.linearRampToValueAtTime(0, endTime);
+    const a = opts.ambient, was = previous.ambient;
+    const sameFile = a?.id === was?.id && a?.loop === was?.loop && a?.crossfadeSec === was?.crossfadeSec;
+    if (!sameFile || (a && !this.ambient)) {
+      const { ambientGain, ...nodes } = this.nodes;
+      if (ambientGain) this._retireLayer(ambientGain, [...this.ambient.sources]);
+      this.nodes = { ...nodes, ...this._createAmbient(nodes.envGain, this.elapsed()) };
+    } else if (a && a.level !== was.level) {
+      try { this.nodes.ambientGain.gain.setTargetAtTime(a.level, this.ctx.currentTime, 0.05); } catch {} // Ignore errors
+    }
+  }
 
-      nextPulseTime += period;
+  // Ramps the envelope and noise level towards their values 100ms ahead and
+  // keeps the ambient loop going; called from _schedule
+  _updateLevels(elapsed) {
+    this._scheduleAmbient();
+    const t = this.ctx.currentTime + 0.1;
+    try {
+      this.nodes.envGain.gain.linearRampToValueAtTime(getEnvelopeAt(elapsed + 0.1, this.opts), t);
+      this.nodes.noiseGain?.gain.linearRampToValueAtTime(getNoiseLevelAt(elapsed + 0.1, this.opts), t);
+    } catch {} // Ignore errors
+  }
+
+  // Stops playback once the schedule is over (unless holding the last beat).
+  // Returns true if the engine was stopped.
+  _stopIfEnded(elapsed) {
+    if (this.opts.endAction === 'hold' || elapsed <= this.totalDuration) return false;
+    if (typeof stopAllPlayback === 'function') stopAllPlayback();
+    else {
+      this.stop();
+      requestAnimationFrame(() => { q('togglePlaybackBtn').textContent = 'Start'; });
     }
+    return true;
+  }
 
-    this.pulseTimer = setTimeout(() => this.schedulePulses(nextPulseTime), 100);
+  // Fades the output to silence over `seconds` (sleep timer). Volume and mute
+  // changes leave the fade alone until the next start().
+  fadeOut(seconds) {
+    this.fading = true;
+    const gain = this.nodes.outGain?.gain;
+    if (!gain) return;
+    const t = this.ctx.currentTime;
+    try {
+      gain.cancelScheduledValues(t);
+      gain.setValueAtTime(Math.max(0.0001, gain.value), t);
+      gain.exponentialRampToValueAtTime(0.0001, t + Math.max(0.1, seconds));
+    } catch {} // Ignore errors
   }
 
   setVolume(v) {
     this.opts.volume = v;
-    if (this.nodes.outGain && !this.opts.muted) {
+    if (this.nodes.outGain && !this.opts.muted && !this.fading) {
       try { this.nodes.outGain.gain.setTargetAtTime(v, this.ctx.currentTime, 0.05); } catch {}
     }
   }
 
   setMute(m) {
     this.opts.muted = m;
-    if (this.nodes.outGain) {
+    if (this.nodes.outGain && !this.fading) {
       const targetGain = m ? 0 : (this.opts.volume ?? 1.0);
       try { this.nodes.outGain.gain.setTargetAtTime(targetGain, this.ctx.currentTime, 0.05); } catch {} // Ignore errors
     }
@@ -309,29 +632,121 @@ class BrainwaveIso {
 }
 
 // ====================================================================
-// Binaural Audio Engine Class
+// Isochronic Audio Engine Class
 // ====================================================================
 
-class BrainwaveBinaural {
-  constructor(opts) {
-    this.ctx = new (window.AudioContext || window.webkitAudioContext)();
-    this.opts = opts;
-    this.totalDuration = getTotalDuration(opts);
-    this.started = false;
-    this.nodes = {};
-    this.updateTimer = null;
-    this.pausedTime = 0;
+class BrainwaveIso extends BrainwaveEngine {
+  _build(offset = 0) {
+    const o = this.opts;
+    const carrier = this.ctx.createOscillator();
+    carrier.type = 'sine';
+    carrier.frequency.value = getCarrierAt(offset, o);
+
+    const output = this._createOutput(offset);
+
+    const pulseGain = this.ctx.createGain();
+    pulseGain.gain.value = getPulseFloor(o); // This will be controlled by the scheduler
+
+    carrier.connect(pulseGain);
+
+    carrier.start();
+
+    this.nodes = { carrier, pulseGain, ...output };
+    this.pulseCount = 0;
+    this._routePulses();
+    this.t0 = this.ctx.currentTime - offset;
+  }
+
+  // Connects the pulse train to envGain, through a panner when the pulses
+  // are panned: 'alternate' puts each pulse hard left or right in turn (see
+  // _schedule) and 'sweep' swings the pan with a sine LFO at opts.panSweepHz.
+  // Called again when the pattern changes while playing.
+  _routePulses() {
+    const { pulseGain, panner, panLfo, ...nodes } = this.nodes;
+    pulseGain.disconnect();
+    [panLfo, panner].forEach(n => { try { n?.stop?.(); n?.disconnect(); } catch {} }); // Ignore errors
+    this.nodes = { pulseGain, ...nodes };
+    if (!isPanned(this.opts)) {
+      pulseGain.connect(nodes.envGain);
+      return;
+    }
+    this.nodes.panner = this.ctx.createStereoPanner();
+    pulseGain.connect(this.nodes.panner).connect(nodes.envGain);
+    if (this.opts.panPattern === 'sweep') {
+      this.nodes.panLfo = this.ctx.createOscillator();
+      this.nodes.panLfo.frequency.value = this.opts.panSweepHz ?? 0.5;
+      this.nodes.panLfo.connect(this.nodes.panner.pan);
+      this.nodes.panLfo.start();
+    }
+  }
+
+  update(opts) {
+    const previous = this.opts;
+    super.update(opts);
+    if (!this.started) return;
+    if (opts.panPattern !== previous.panPattern) {
+      this._routePulses();
+    } else if (this.nodes.panLfo && opts.panSweepHz !== previous.panSweepHz) {
+      try { this.nodes.panLfo.frequency.setTargetAtTime(opts.panSweepHz, this.ctx.currentTime, 0.05); } catch {} // Ignore errors
+    }
   }
 
+  stop() {
+    if (!this.started) return;
+    // Pulses already scheduled keep playing under the stop ramp
+    try { this.nodes.pulseGain.gain.cancelScheduledValues(this.ctx.currentTime + STOP_RAMP_SECONDS); } catch {} // Ignore errors
+    super.stop();
+  }
+
+  _schedule(startTime) {
+    if (!this.started) return;
+
+    const now = this.ctx.currentTime;
+    if (this._stopIfEnded(now - this.t0)) return;
+    this._updateLevels(now - this.t0);
+
+    const scheduleAheadTime = 0.2;
+    let nextPulseTime = startTime;
+
+    while (nextPulseTime < now + scheduleAheadTime) {
+      const currentElapsed = nextPulseTime - this.t0;
+      const beatHz = getBeatAt(currentElapsed, this.opts);
+      if (beatHz <= 0) {
+          if (this._stopIfEnded(currentElapsed)) return;
+          nextPulseTime += 0.5;
+          continue;
+      }
+      const period = 1 / beatHz;
+      const pulseDuration = period * (this.opts.pulseDuty ?? 0.5);
+
+      this.nodes.carrier.frequency.linearRampToValueAtTime(getCarrierAt(currentElapsed, this.opts), nextPulseTime);
+      this.nodes.pulseGain.gain.setValueCurveAtTime(createPulseCurve(pulseDuration, this.opts), nextPulseTime, pulseDuration);
+      if (this.opts.panPattern === 'alternate') {
+        this.nodes.panner?.pan.setValueAtTime(this.pulseCount % 2 ? 1 : -1, nextPulseTime);
+      }
+      this.pulseCount++;
+
+      nextPulseTime += period;
+    }
+
+    this.timer = setTimeout(() => this._schedule(nextPulseTime), 100);
+  }
+}
+
+// ====================================================================
+// Binaural Audio Engine Class
+// ====================================================================
+
+class BrainwaveBinaural extends BrainwaveEngine {
   _build(offset = 0) {
     const o = this.opts;
-    const outGain = this.ctx.createGain();
-    outGain.gain.value = 0;
+    const output = this._createOutput(offset);
 
     // Left channel
     const oscL = this.ctx.createOscillator();
     oscL.type = 'sine';
-    oscL.frequency.value = o.carrierHz;
+    const startCarrier = getCarrierAt(offset, o);
+    oscL.frequency.value = startCarrier;
     const pannerL = this.ctx.createStereoPanner();
     pannerL.pan.value = -1; // Hard left
 
@@ -339,484 +754,2025 @@ class BrainwaveBinaural {
     const oscR = this.ctx.createOscillator();
     oscR.type = 'sine';
     const startBeat = getBeatAt(offset, o);
-    oscR.frequency.value = o.carrierHz + startBeat;
+    oscR.frequency.value = startCarrier + startBeat;
     const pannerR = this.ctx.createStereoPanner();
     pannerR.pan.value = 1; // Hard right
 
-    oscL.connect(pannerL).connect(outGain);
-    oscR.connect(pannerR).connect(outGain);
-    outGain.connect(this.ctx.destination);
+    oscL.connect(pannerL).connect(output.envGain);
+    oscR.connect(pannerR).connect(output.envGain);
 
     oscL.start();
     oscR.start();
 
-    this.nodes = { oscL, oscR, pannerL, pannerR, outGain };
+    this.nodes = { oscL, oscR, pannerL, pannerR, ...output };
     this.t0 = this.ctx.currentTime - offset;
   }
 
-  start(offset = 0) {
-    if (this.started) return;
-    if (this.ctx.state === 'suspended') this.ctx.resume();
-    this._build(offset);
-    const t = this.ctx.currentTime;
-    try {
-      if (!this.opts.muted) {
-        this.nodes.outGain.gain.setTargetAtTime(this.opts.volume ?? 1.0, t, 0.05);
-      }
-    } catch {} // Ignore errors
-    this.started = true;
-    this.scheduleUpdates(this.ctx.currentTime);
-  }
-
-  pause() {
-    if (!this.started) return;
-    this.pausedTime = this.elapsed();
-    this.stop();
-    this.started = false;
-  }
-
-  stop() {
-    if (!this.started) return;
-    this.started = false;
-    if (this.updateTimer) {
-      clearTimeout(this.updateTimer);
-      this.updateTimer = null;
-    }
-    const t = this.ctx.currentTime;
-    try {
-      this.nodes.outGain.gain.setTargetAtTime(0.0001, t, 0.05);
-    } catch {} // Ignore errors
-    setTimeout(() => {
-      Object.values(this.nodes).forEach(n => { try { n.stop?.(); n.disconnect?.(); } catch{} });
-      this.nodes = {};
-    }, 200);
-  }
-
-  scheduleUpdates() {
+  _schedule() {
     if (!this.started) return;
 
     const elapsed = this.ctx.currentTime - this.t0;
-    
-    if (this.opts.endAction !== 'hold' && elapsed > this.totalDuration) {
-      if (typeof stopAllPlayback === 'function') stopAllPlayback();
-      else {
-        this.stop();
-        requestAnimationFrame(() => { q('togglePlaybackBtn').textContent = 'Start'; });
-      }
-      return;
-    }
+    if (this._stopIfEnded(elapsed)) return;
+    this._updateLevels(elapsed);
 
     const beatHz = getBeatAt(elapsed, this.opts);
-    const newFreq = this.opts.carrierHz + beatHz;
+    const carrierHz = getCarrierAt(elapsed, this.opts);
 
     // Use a ramp to avoid clicks
     if (this.nodes.oscR) {
-        this.nodes.oscR.frequency.linearRampToValueAtTime(newFreq, this.ctx.currentTime + 0.1);
+        this.nodes.oscL.frequency.linearRampToValueAtTime(carrierHz, this.ctx.currentTime + 0.1);
+        this.nodes.oscR.frequency.linearRampToValueAtTime(carrierHz + beatHz, this.ctx.currentTime + 0.1);
     }
     
-    this.updateTimer = setTimeout(() => this.scheduleUpdates(), 100);
-  }
-
-  setVolume(v) {
-    this.opts.volume = v;
-    if (this.nodes.outGain && !this.opts.muted) {
-      try { this.nodes.outGain.gain.setTargetAtTime(v, this.ctx.currentTime, 0.05); } catch {}
-    }
+    this.timer = setTimeout(() => this._schedule(), 100);
   }
-
-  setMute(m) {
-    this.opts.muted = m;
-    if (this.nodes.outGain) {
-      const targetGain = m ? 0 : (this.opts.volume ?? 1.0);
-      try { this.nodes.outGain.gain.setTargetAtTime(targetGain, this.ctx.currentTime, 0.05); } catch {}
-    }
-  }
-
-  elapsed() { return this.started ? (this.ctx.currentTime - this.t0) : 0; }
 }
 
 // ====================================================================
-// UI and Application Logic
+// Monaural Audio Engine Class
 // ====================================================================
 
-const q = id => document.getElementById(id);
+// Two carriers (carrierHz and carrierHz + beat) summed into a single channel,
+// so the beat is audible on speakers without headphones.
+class BrainwaveMonaural extends BrainwaveEngine {
+  _build(offset = 0) {
+    const o = this.opts;
+    const output = this._createOutput(offset);
 
-// --- Global State & UI Elements ---
-const sched = q('sched');
-const readout = q('readout');
-const pointEditor = q('pointEditor');
-const totalPointsInput = q('totalPoints');
-const editPointSelector = q('editPointSelector');
-const pointBeatInput = q('pointBeat');
-const pointHoursInput = q('pointHours');
-const pointMinutesInput = q('pointMinutes');
-const singlePointDurationContainer = q('singlePointDurationContainer');
-const singlePointHoursInput = q('singlePointHours');
-const singlePointMinutesInput = q('singlePointMinutes');
-const endActionInput = q('endAction');
-const exportSampleRateInput = q('exportSampleRate');
-const togglePlaybackBtn = q('togglePlaybackBtn');
-const presetDescription = q('presetDescription');
-const beatModeInput = q('beatMode');
-const volumeInput = q('volume');
-const volumeLabel = q('volumeLabel');
+    // Each tone at half level so the sum peaks at full scale
+    const mixGain = this.ctx.createGain();
+    mixGain.gain.value = 0.5;
 
-// Modal elements
-const renamePresetModal = q('renamePresetModal');
+    const startCarrier = getCarrierAt(offset, o);
+    const oscA = this.ctx.createOscillator();
+    oscA.type = 'sine';
+    oscA.frequency.value = startCarrier;
+
+    const oscB = this.ctx.createOscillator();
+    oscB.type = 'sine';
+    oscB.frequency.value = startCarrier + getBeatAt(offset, o);
+
+    oscA.connect(mixGain);
+    oscB.connect(mixGain);
+    mixGain.connect(output.envGain);
+
+    oscA.start();
+    oscB.start();
+
+    this.nodes = { oscA, oscB, mixGain, ...output };
+    this.t0 = this.ctx.currentTime - offset;
+  }
+
+  _schedule() {
+    if (!this.started) return;
+
+    const elapsed = this.ctx.currentTime - this.t0;
+    if (this._stopIfEnded(elapsed)) return;
+    this._updateLevels(elapsed);
+
+    const beatHz = getBeatAt(elapsed, this.opts);
+    const carrierHz = getCarrierAt(elapsed, this.opts);
+
+    // Use a ramp to avoid clicks
+    if (this.nodes.oscB) {
+        this.nodes.oscA.frequency.linearRampToValueAtTime(carrierHz, this.ctx.currentTime + 0.1);
+        this.nodes.oscB.frequency.linearRampToValueAtTime(carrierHz + beatHz, this.ctx.currentTime + 0.1);
+    }
+
+    this.timer = setTimeout(() => this._schedule(), 100);
+  }
+}
+
+// Engine class for each beatMode value
+const ENGINES = {
+  isochronic: BrainwaveIso,
+  binaural: BrainwaveBinaural,
+  monaural: BrainwaveMonaural,
+};
+
+// ====================================================================
+// UI and Application Logic
+// ====================================================================
+
+const q = id => document.getElementById(id);
+
+function downloadBlob(blob, fileName) {
+  const anchor = document.createElement('a');
+  anchor.href = URL.createObjectURL(blob);
+  anchor.download = fileName;
+  anchor.click();
+  URL.revokeObjectURL(anchor.href);
+}
+
+// --- Global State & UI Elements ---
+const sched = q('sched');
+const readout = q('readout');
+const stageTableBody = q('stageTableBody');
+const stageTableEmpty = q('stageTableEmpty');
+const pointDetails = q('pointDetails');
+const pointDetailsTitle = q('pointDetailsTitle');
+const pointCarrierInput = q('pointCarrier');
+const pointLevelInput = q('pointLevel');
+const pointNoiseLevelInput = q('pointNoiseLevel');
+const startLevelInput = q('startLevel');
+const layerTabs = q('layerTabs');
+const layerGainInput = q('layerGain');
+const removeLayerBtn = q('removeLayerBtn');
+const noiseTypeInput = q('noiseType');
+const noiseLevelInput = q('noiseLevel');
+const pulseSettings = q('pulseSettings');
+const pulseShapeInput = q('pulseShape');
+const pulseDutyInput = q('pulseDuty');
+const pulseDepthInput = q('pulseDepth');
+const pulseAttackInput = q('pulseAttack');
+const pulseReleaseInput = q('pulseRelease');
+const panPatternInput = q('panPattern');
+const panSweepInput = q('panSweep');
+const fadeInInput = q('fadeIn');
+const fadeOutInput = q('fadeOut');
+const wakeUpBeatInput = q('wakeUpBeat');
+const wakeUpMinutesInput = q('wakeUpMinutes');
+const ambientNameLabel = q('ambientName');
+const ambientSettings = q('ambientSettings');
+const ambientLevelInput = q('ambientLevel');
+const ambientLoopInput = q('ambientLoop');
+const ambientCrossfadeInput = q('ambientCrossfade');
+const sleepTimerInput = q('sleepTimer');
+const sleepFadeInput = q('sleepFade');
+const alarmTimeInput = q('alarmTime');
+const alarmPresetInput = q('alarmPreset');
+const alarmBtn = q('alarmBtn');
+const timerStatus = q('timerStatus');
+const endActionInput = q('endAction');
+const exportSampleRateInput = q('exportSampleRate');
+const exportFormatInput = q('exportFormat');
+const togglePlaybackBtn = q('togglePlaybackBtn');
+const presetDescription = q('presetDescription');
+const beatModeInput = q('beatMode');
+const volumeInput = q('volume');
+const volumeLabel = q('volumeLabel');
+const seekBar = q('seekBar');
+const seekLabel = q('seekLabel');
+const vizCanvas = q('viz');
+const vizViewInput = q('vizView');
+const vizReadout = q('vizReadout');
+const exportProgress = q('exportProgress');
+const exportProgressBar = q('exportProgressBar');
+const exportProgressLabel = q('exportProgressLabel');
+
+// Modal elements
+const renamePresetModal = q('renamePresetModal');
 const renamePresetForm = q('renamePresetForm');
 const presetNameInput = q('presetNameInput');
 const presetDescriptionInput = q('presetDescriptionInput');
 const cancelPresetNameBtn = q('cancelPresetNameBtn');
+const presetManagerModal = q('presetManagerModal');
+const undoBtn = q('undoBtn');
+const historyModal = q('historyModal');
+const historyContent = q('historyContent');
+const sessionNoteModal = q('sessionNoteModal');
+const redoBtn = q('redoBtn');
+const presetManagerList = q('presetManagerList');
 
 let engine = null;
 let pausedTime = 0;
 let currentEditingPoint = 2;
+let editingLayer = 0; // 0 = the preset's own track, i = preset.layers[i - 1]
 let currentEditingPresetIndex = -1;
 
 const presetsContainer = q('presetsContainer');
 let presets = [];
 let activePresetIndex = 0;
 
-const defaultPreset = {
-  name: 'Default',
-  description: '',
-  carrierHz: 400,
-  startBeatHz: 7,
-  totalPoints: 1,
-  singlePointHours: 0,
-  singlePointMinutes: 30,
-  stages: [],
-  endAction: 'hold',
-  exportSampleRate: 44100,
-  muted: false,
-  volume: 1.0,
-  beatMode: 'isochronic', // Add beatMode
-};
+const defaultPreset = {
+  name: 'Default',
+  description: '',
+  carrierHz: 400,
+  startBeatHz: 7,
+  stages: [{ beat: 7, hours: 0, minutes: 30, curve: 'linear', carrierHz: null, level: null, noiseLevel: null }],
+  endAction: 'hold',
+  exportSampleRate: 44100,
+  exportFormat: 'wav16',
+  muted: false,
+  volume: 1.0,
+  beatMode: 'isochronic', // Add beatMode
+  startLevel: 1.0,
+  fadeInSec: 0,
+  fadeOutSec: 0,
+  noiseType: 'off',
+  noiseLevel: 0.3,
+  pulseShape: 'triangle',
+  pulseDuty: 0.5,
+  pulseDepth: 1.0,
+  pulseAttackMs: 5,
+  pulseReleaseMs: 5,
+  panPattern: 'off', // Isochronic pulses: 'off' (centred), 'alternate' (L/R by pulse) or 'sweep'
+  panSweepHz: 0.5,
+  wakeUpBeatHz: null, // Ramp up to this beat after the last stage; null = off
+  wakeUpMinutes: 10,
+  ambientId: null, // Key of the ambient sound file in IndexedDB; null = none
+  ambientName: '',
+  ambientLevel: 0.5,
+  ambientLoop: true,
+  ambientCrossfadeSec: 2,
+  layers: [], // Extra beat tracks: { beatMode, carrierHz, startBeatHz, gain, stages }
+  builtInId: null, // id of the BUILT_IN_PRESETS entry this is a copy of; null = the user's own
+};
+
+// --- Stage Table ---
+// One row per point after the start. Points are numbered from the start
+// point, so stage i is point i + 2. Beat, duration and transition are edited
+// in the row; carrier and levels of the selected point in the details below.
+const CURVE_LABELS = { linear: 'Linear', exponential: 'Exponential', logarithmic: 'Logarithmic', sigmoid: 'Ease in/out', step: 'Step' };
+
+const newStage = beat => ({ beat, hours: 0, minutes: 30, curve: 'linear', carrierHz: null, level: null, noiseLevel: null });
+const stageRow = pointNumber => stageTableBody.rows[pointNumber - 2];
+const stageField = (row, name) => row.querySelector(`[data-field="${name}"]`);
+
+function fillStageRow(row, stage) {
+  stageField(row, 'beat').value = stage.beat;
+  stageField(row, 'hours').value = stage.hours;
+  stageField(row, 'minutes').value = stage.minutes;
+  stageField(row, 'curve').value = stage.curve || 'linear';
+}
+
+function createStageRow(stage, index) {
+  const row = document.createElement('tr');
+  row.dataset.index = index;
+  const curveOptions = Object.entries(CURVE_LABELS)
+    .map(([value, label]) => `<option value="${value}" style="background:#0b1220;">${label}</option>`).join('');
+  row.innerHTML = `
+    <td class="drag-handle" title="Drag to reorder">⠿</td>
+    <td>${index + 2}</td>
+    <td><input data-field="beat" type="number" step="0.1" min="0.1"></td>
+    <td><input data-field="hours" type="number" min="0"> <input data-field="minutes" type="number" min="0" max="59"></td>
+    <td><select data-field="curve">${curveOptions}</select></td>
+    <td>
+      <button data-action="insert" class="secondary" title="Insert a point after this one">+</button>
+      <button data-action="duplicate" class="secondary" title="Duplicate this point">⧉</button>
+      <button data-action="delete" class="secondary" title="Delete this point">✕</button>
+    </td>`;
+  fillStageRow(row, stage);
+  return row;
+}
+
+function renderStageTable() {
+  const stages = editedLayer().stages;
+  stageTableBody.replaceChildren(...stages.map(createStageRow));
+  stageTableEmpty.style.display = stages.length === 0 ? 'block' : 'none';
+  pointDetails.style.display = stages.length === 0 ? 'none' : 'flex';
+  if (stages.length > 0) loadPoint(Math.min(Math.max(currentEditingPoint, 2), stages.length + 1));
+}
+
+function savePoint(pointNumber) {
+  const index = pointNumber - 2;
+  const currentStages = editedLayer().stages;
+  const row = stageRow(pointNumber);
+  if (index < 0 || index >= currentStages.length || !row) return;
+
+  // Kept within the ranges validatePreset accepts, so exported presets import again
+  const stage = currentStages[index];
+  stage.beat = Math.min(1000, Math.max(0.1, +stageField(row, 'beat').value));
+  stage.hours = Math.min(1000, Math.max(0, +stageField(row, 'hours').value));
+  stage.minutes = Math.min(59, Math.max(0, +stageField(row, 'minutes').value));
+  stage.curve = stageField(row, 'curve').value;
+  // The details inputs only show the selected point
+  if (pointNumber === currentEditingPoint) {
+    stage.carrierHz = pointCarrierInput.value === '' ? null : Math.min(20000, Math.max(1, +pointCarrierInput.value));
+    stage.level = pointLevelInput.value === '' ? null : Math.min(1, Math.max(0, +pointLevelInput.value / 100));
+    stage.noiseLevel = pointNoiseLevelInput.value === '' ? null : Math.min(1, Math.max(0, +pointNoiseLevelInput.value / 100));
+  }
+  savePresets(); // Save changes to localStorage
+}
+
+// Selects a point's row and shows its details
+function loadPoint(pointNumber) {
+  const index = pointNumber - 2;
+  const currentStages = editedLayer().stages;
+  if (index < 0 || index >= currentStages.length) return;
+
+  const data = currentStages[index];
+  [...stageTableBody.rows].forEach((row, i) => row.classList.toggle('selected', i === index));
+  pointDetailsTitle.textContent = `Point ${pointNumber}`;
+  pointCarrierInput.value = data.carrierHz ?? '';
+  pointLevelInput.value = data.level == null ? '' : Math.round(data.level * 100);
+  pointNoiseLevelInput.value = data.noiseLevel == null ? '' : Math.round(data.noiseLevel * 100);
+  currentEditingPoint = pointNumber;
+}
+
+// Persists a structural change to the stage list and selects `pointNumber`
+function applyStageChange(pointNumber) {
+  savePresets();
+  currentEditingPoint = pointNumber;
+  renderStageTable();
+  updatePreview();
+}
+
+function handleStageAction(action, index) {
+  const stages = editedLayer().stages;
+  if (action === 'insert') {
+    stages.splice(index + 1, 0, newStage(stages[index].beat));
+    applyStageChange(index + 3);
+  } else if (action === 'duplicate') {
+    stages.splice(index + 1, 0, { ...stages[index] });
+    applyStageChange(index + 3);
+  } else if (action === 'delete') {
+    stages.splice(index, 1);
+    applyStageChange(currentEditingPoint > index + 2 ? currentEditingPoint - 1 : currentEditingPoint);
+  }
+}
+
+// Rows are reordered with pointer events rather than HTML drag and drop so
+// the handle also works on touch screens. Rows stay in place (moving the
+// captured handle would release the capture) and a line marks the drop spot.
+function startStageReorder(event, handle) {
+  const row = handle.closest('tr');
+  const from = +row.dataset.index;
+  let to = from;
+  handle.setPointerCapture(event.pointerId);
+  row.classList.add('dragging');
+
+  const markDrop = () => [...stageTableBody.rows].forEach((r, i) => {
+    r.classList.toggle('drop-above', to !== from && i === to && to < from);
+    r.classList.toggle('drop-below', to !== from && i === to && to > from);
+  });
+  const onMove = e => {
+    const rows = [...stageTableBody.rows];
+    const index = rows.findIndex(r => e.clientY <= r.getBoundingClientRect().bottom);
+    to = index < 0 ? rows.length - 1 : index;
+    markDrop();
+  };
+  const onEnd = () => {
+    handle.removeEventListener('pointermove', onMove);
+    handle.removeEventListener('pointerup', onEnd);
+    handle.removeEventListener('pointercancel', onEnd);
+    row.classList.remove('dragging');
+    if (to === from) {
+      markDrop();
+      return;
+    }
+    const stages = editedLayer().stages;
+    stages.splice(to, 0, ...stages.splice(from, 1));
+    applyStageChange(to + 2);
+  };
+  handle.addEventListener('pointermove', onMove);
+  handle.addEventListener('pointerup', onEnd);
+  handle.addEventListener('pointercancel', onEnd);
+}
+
+// Pulse settings only apply to isochronic mode; attack/release only to square
+// pulses and the sweep rate only to swept panning
+function updatePulseSettingsUI() {
+    pulseSettings.style.display = beatModeInput.value === 'isochronic' ? 'block' : 'none';
+    const isSquare = pulseShapeInput.value === 'square';
+    pulseAttackInput.closest('.param-row').style.display = isSquare ? 'flex' : 'none';
+    pulseReleaseInput.closest('.param-row').style.display = isSquare ? 'flex' : 'none';
+    panSweepInput.closest('.param-row').style.display = panPatternInput.value === 'sweep' ? 'flex' : 'none';
+}
+
+// --- Schedule Canvas Editing ---
+// Points on the graph can be dragged (vertically for beat, horizontally for
+// time), added with a double-click and removed with a right-click or
+// Alt+click. Beats snap to 0.1 Hz and times to whole minutes; holding Shift
+// snaps to 1 Hz and 5 minutes. Edits are written through the point editor
+// and the regular inputs so they persist exactly like typed changes.
+const POINT_HIT_RADIUS = 10;
+let scheduleLayout = null;
+let hoveredPoint = -1;
+let pointDrag = null; // { index, view } while a point is being dragged
+
+const stageMinutes = stage => stage.hours * 60 + stage.minutes;
+
+function snapBeat(hz, coarse) {
+  const step = coarse ? 1 : 0.1;
+  return Math.min(1000, Math.max(0.1, +(Math.round(hz / step) * step).toFixed(1)));
+}
+
+function snapMinutes(seconds, coarse) {
+  const step = coarse ? 5 : 1;
+  return Math.max(0, Math.round(seconds / 60 / step) * step);
+}
+
+function findPointAt(x, y) {
+  let found = -1, best = POINT_HIT_RADIUS;
+  // Later points win ties so a zero-length stage can be dragged back out
+  scheduleLayout?.points.forEach((point, i) => {
+    if (i > editedLayer().stages.length) return; // Wake-up ramp end
+    const distance = Math.hypot(point.x - x, point.y - y);
+    if (distance <= best) { best = distance; found = i; }
+  });
+  return found;
+}
+
+function describePoint(index) {
+  const layer = editedLayer();
+  const point = scheduleLayout.points[index];
+  const time = point.time === 0 ? 'start' : `${Math.floor(point.time / 3600)}h ${Math.floor((point.time % 3600) / 60)}m`;
+  const stage = layer.stages[index - 1];
+  const beat = stage ? stage.beat : layer.startBeatHz;
+  const lines = [`Point ${index + 1}: ${beat.toFixed(1)} Hz at ${time}`];
+  if (stage) lines.push(`Transition: ${stage.curve || 'linear'}`);
+  lines.push(index === 0 ? 'Drag up/down to change beat' : 'Drag to move · right-click to delete');
+  return lines;
+}
+
+function moveSchedulePoint(index, x, y, coarse) {
+  const layer = editedLayer();
+  const beat = snapBeat(scheduleLayout.yToBeat(y), coarse);
+  if (index === 0) {
+    q('startBeat').value = beat;
+    updateActivePresetFromUI();
+    return;
+  }
+
+  const stages = layer.stages;
+  const pointStart = stages.slice(0, index - 1).reduce((sum, s) => sum + stageMinutes(s), 0);
+  const next = stages[index];
+  // Later points keep their time, so this point cannot pass the next one
+  const nextEnd = next ? pointStart + stageMinutes(stages[index - 1]) + stageMinutes(next) : Infinity;
+  const minutes = Math.min(nextEnd, Math.max(pointStart, snapMinutes(scheduleLayout.xToTime(x), coarse)));
+  if (next) {
+    fillStageRow(stageRow(index + 2), { ...next, hours: Math.floor((nextEnd - minutes) / 60), minutes: (nextEnd - minutes) % 60 });
+    savePoint(index + 2);
+  }
+
+  loadPoint(index + 1);
+  fillStageRow(stageRow(index + 1), { ...stages[index - 1], beat, hours: Math.floor((minutes - pointStart) / 60), minutes: (minutes - pointStart) % 60 });
+  savePoint(index + 1);
+}
+
+// Splits the stage under `x` at that time, or extends the session past its end
+function insertSchedulePoint(x, y, coarse) {
+  const minutes = snapMinutes(scheduleLayout.xToTime(x), coarse);
+  const beat = snapBeat(scheduleLayout.yToBeat(y), coarse);
+
+  const stages = editedLayer().stages;
+  let start = 0, index = 0;
+  while (index < stages.length && start + stageMinutes(stages[index]) <= minutes) start += stageMinutes(stages[index++]);
+  if (minutes <= start) return;
+  const point = { beat, hours: Math.floor((minutes - start) / 60), minutes: (minutes - start) % 60, curve: stages[index]?.curve || 'linear', carrierHz: null, level: null, noiseLevel: null };
+  if (index < stages.length) {
+    const remaining = start + stageMinutes(stages[index]) - minutes;
+    stages[index].hours = Math.floor(remaining / 60);
+    stages[index].minutes = remaining % 60;
+  }
+  stages.splice(index, 0, point);
+  savePresets();
+  currentEditingPoint = index + 2;
+  renderStageTable();
+}
+
+// Removes a point; the following stage absorbs its duration so later points stay put
+function deleteSchedulePoint(index) {
+  const stages = editedLayer().stages;
+  if (index < 1 || index > stages.length) return;
+  const [removed] = stages.splice(index - 1, 1);
+  const next = stages[index - 1];
+  if (next) {
+    const minutes = stageMinutes(removed) + stageMinutes(next);
+    next.hours = Math.floor(minutes / 60);
+    next.minutes = minutes % 60;
+  }
+  savePresets();
+  renderStageTable();
+}
+
+// --- Layers ---
+// A preset can hold extra beat tracks that play alongside its own. The
+// carrier, start beat, mode and points inputs edit the selected layer; the
+// other settings always belong to the preset.
+function editedLayer() {
+  const preset = presets[activePresetIndex];
+  return preset.layers[editingLayer - 1] ?? preset;
+}
+
+function renderLayerTabs() {
+  const preset = presets[activePresetIndex];
+  editingLayer = Math.min(editingLayer, preset.layers.length);
+  layerTabs.replaceChildren(...[preset, ...preset.layers].map((_, i) => {
+    const button = document.createElement('button');
+    button.classList.toggle('secondary', i !== editingLayer);
+    button.innerHTML = `<span style="color:${layerColor(i)};">●</span> ${i + 1}`;
+    button.title = `Edit layer ${i + 1}`;
+    button.addEventListener('click', () => selectLayer(i));
+    return button;
+  }));
+  removeLayerBtn.style.display = editingLayer > 0 ? '' : 'none';
+  layerGainInput.closest('.param-row').style.display = editingLayer > 0 ? 'flex' : 'none';
+  startLevelInput.closest('.param-row').style.display = editingLayer > 0 ? 'none' : 'flex';
+}
+
+function selectLayer(index) {
+  editingLayer = index;
+  currentEditingPoint = 2;
+  hoveredPoint = -1;
+  updateUIFromPreset(presets[activePresetIndex]);
+  updatePreview();
+}
+
+// New layers start at half the carrier and a 2 Hz beat, held for as long as
+// the preset's own points run
+function addLayer() {
+  const preset = presets[activePresetIndex];
+  const minutes = preset.stages.reduce((sum, s) => sum + stageMinutes(s), 0) || 30;
+  preset.layers.push({
+    beatMode: preset.beatMode,
+    carrierHz: Math.max(1, Math.round(preset.carrierHz / 2)),
+    startBeatHz: 2,
+    gain: 0.5,
+    stages: [{ ...newStage(2), hours: Math.floor(minutes / 60), minutes: minutes % 60 }],
+  });
+  savePresets();
+  selectLayer(preset.layers.length);
+}
+
+function removeLayer() {
+  if (editingLayer === 0) return;
+  presets[activePresetIndex].layers.splice(editingLayer - 1, 1);
+  savePresets();
+  selectLayer(editingLayer - 1);
+}
+
+// --- Preset Schema ---
+// --- Preset Import/Export ---
+function exportPresetsToFile(list, fileName) {
+  const data = { app: 'brainwave-sync', schemaVersion: PRESET_SCHEMA_VERSION, presets: list };
+  downloadBlob(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }), fileName);
+}
+
+// Adds imported presets to the library, renaming any that clash with an
+// existing name, and switches to the first one
+async function importPresetsFromFile(file) {
+  let imported;
+  try {
+    imported = parsePresetsFile(await file.text());
+  } catch (e) {
+    alert(`Could not import "${file.name}".\n\n${e.message}`);
+    return;
+  }
+  addPresets(imported);
+}
+
+function uniquePresetName(name) {
+  let unique = name, n = 2;
+  while (presets.some(p => p.name === unique)) unique = `${name} (${n++})`;
+  return unique;
+}
+
+// Appends presets to the library and makes the first of them active
+function addPresets(list) {
+  list.forEach(preset => presets.push({ ...preset, name: uniquePresetName(preset.name) }));
+  selectPreset(presets.length - list.length);
+}
+
+function selectPreset(index) {
+  stopAllPlayback();
+  activePresetIndex = index;
+  editingLayer = 0;
+  savePresets();
+  saveActivePresetIndex();
+  updateUIFromPreset(presets[activePresetIndex]);
+  renderPresetButtons();
+  updatePreview();
+}
+
+function createBlankPreset() {
+  addPresets([structuredClone({ ...defaultPreset, name: 'New Preset' })]);
+}
+
+// --- Share Links ---
+// A share link carries the schedule of a preset (not its output settings) in
+// the `preset` query parameter as base64url-encoded compact JSON:
+// { n: name, m: beatMode, c: carrierHz, b: startBeatHz, e: endAction,
+//   s: [[beat, minutes, curve, carrierHz, level, noiseLevel], ...],
+//   l: [[beatMode, carrierHz, startBeatHz, gain, stages], ...] }
+// Trailing defaults are dropped from each stage tuple to keep links short,
+// and `l` is left out when the preset has no extra layers.
+function encodeSharedPreset(preset) {
+  const encodeStages = stages => stages.map(s => {
+    const tuple = [s.beat, s.hours * 60 + s.minutes, s.curve || 'linear', s.carrierHz ?? null, s.level ?? null, s.noiseLevel ?? null];
+    while (tuple.length > 2 && (tuple[tuple.length - 1] === null || tuple[tuple.length - 1] === 'linear')) tuple.pop();
+    return tuple;
+  });
+  const data = { n: preset.name, m: preset.beatMode, c: preset.carrierHz, b: preset.startBeatHz, e: preset.endAction, s: encodeStages(preset.stages) };
+  if (preset.layers.length > 0) {
+    data.l = preset.layers.map(l => [l.beatMode, l.carrierHz, l.startBeatHz, l.gain, encodeStages(l.stages)]);
+  }
+  // One byte at a time: spreading them into fromCharCode overflows the stack on long schedules
+  let binary = '';
+  for (const byte of new TextEncoder().encode(JSON.stringify(data))) binary += String.fromCharCode(byte);
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+// Returns a validated preset, or throws an Error describing what is wrong
+function decodeSharedPreset(code) {
+  let data;
+  try {
+    const binary = atob(code.replace(/-/g, '+').replace(/_/g, '/'));
+    data = JSON.parse(new TextDecoder().decode(Uint8Array.from(binary, c => c.charCodeAt(0))));
+  } catch {
+    throw new Error('The link is damaged or incomplete.');
+  }
+  if (!data || !Array.isArray(data.s)) throw new Error('The link does not contain a schedule.');
+
+  // Entries that are not tuples are passed on as they are for validatePreset to report
+  const minutesToStage = minutes => ({ hours: Math.floor(minutes / 60), minutes: minutes % 60 });
+  const decodeStage = tuple => {
+    if (!Array.isArray(tuple)) return tuple;
+    const [beat, minutes, curve = 'linear', carrierHz = null, level = null, noiseLevel = null] = tuple;
+    return { beat, ...minutesToStage(minutes), curve, carrierHz, level, noiseLevel };
+  };
+  const decodeLayer = tuple => {
+    if (!Array.isArray(tuple)) return tuple;
+    const [beatMode, carrierHz, startBeatHz, gain, stages] = tuple;
+    return { beatMode, carrierHz, startBeatHz, gain, stages: decodeStages(stages) };
+  };
+  const decodeStages = stages => (Array.isArray(stages) ? stages.map(decodeStage) : stages);
+  const preset = {
+    ...defaultPreset,
+    name: typeof data.n === 'string' && data.n.trim() ? data.n.trim() : 'Shared Preset',
+    beatMode: data.m,
+    carrierHz: data.c,
+    startBeatHz: data.b,
+    endAction: data.e,
+    stages: decodeStages(data.s),
+    layers: Array.isArray(data.l) ? data.l.map(decodeLayer) : data.l ?? [],
+  };
+  const errors = validatePreset(preset, 'link');
+  if (errors.length > 0) throw new Error(`The shared preset is invalid:\n${errors.slice(0, 10).map(e => `- ${e}`).join('\n')}`);
+  return preset;
+}
+
+function getShareLink(preset) {
+  const url = new URL(location.pathname, location.origin);
+  url.searchParams.set('preset', encodeSharedPreset(preset));
+  return url.href;
+}
+
+async function copyShareLink(button) {
+  const link = getShareLink(presets[activePresetIndex]);
+  try {
+    await navigator.clipboard.writeText(link);
+    const label = button.textContent;
+    button.textContent = 'Copied!';
+    setTimeout(() => { button.textContent = label; }, 1500);
+  } catch {
+    prompt('Copy this link to share the preset:', link);
+  }
+}
+
+// Handles the manifest shortcuts (?action=new, ?action=presets) and shared
+// preset links (?preset=...), then removes the parameters so a reload does
+// not repeat them
+function handleLaunchParams() {
+  const params = new URLSearchParams(location.search);
+  if (params.size === 0) return;
+  history.replaceState(null, '', location.pathname + location.hash);
+
+  const shared = params.get('preset');
+  if (shared) {
+    try {
+      const preset = decodeSharedPreset(shared);
+      if (confirm(`Import the shared preset "${preset.name}"?`)) addPresets([preset]);
+    } catch (e) {
+      alert(`Could not open the shared preset.\n\n${e.message}`);
+    }
+  }
+
+  const action = params.get('action');
+  if (action === 'new') createBlankPreset();
+  else if (action === 'presets') openPresetManager();
+}
+
+// --- Preset Manager ---
+// Presets a new library starts with. They are only templates: the library in
+// localStorage holds the user's own copies, so a deleted built-in stays
+// deleted until "Restore built-in presets" adds it back. Copies keep the
+// built-in's id, so they are still recognised after being renamed.
+const builtInStage = (beat, minutes) => ({ ...newStage(beat), minutes });
+const BUILT_IN_PRESETS = [
+  { ...defaultPreset, builtInId: 'preset-1', name: 'Preset 1', description: 'A standard default preset.' },
+  { ...defaultPreset, builtInId: 'preset-2', name: 'Preset 2', description: 'From 10Hz down to 5Hz over 30 minutes.', startBeatHz: 10, stages: [builtInStage(5, 30)] },
+  { ...defaultPreset, builtInId: 'preset-3', name: 'Preset 3', description: 'From 4Hz up to 8Hz over 45 minutes.', startBeatHz: 4, stages: [builtInStage(8, 45)] },
+  { ...defaultPreset, builtInId: 'preset-4', name: 'Preset 4', description: 'Low carrier, short session.', carrierHz: 200, startBeatHz: 6, stages: [builtInStage(12, 20)] },
+  { ...defaultPreset, builtInId: 'preset-5', name: 'Preset 5', description: 'High carrier, multi-stage session.', carrierHz: 600, startBeatHz: 8, stages: [builtInStage(4, 15), builtInStage(10, 15)] },
+];
+
+// Adds back the built-in presets that have no copy in the library
+function restoreBuiltInPresets() {
+  const missing = BUILT_IN_PRESETS.filter(builtIn => !presets.some(p => p.builtInId === builtIn.builtInId));
+  if (missing.length === 0) {
+    alert('All built-in presets are already in your library.');
+    return;
+  }
+  if (!confirm(`Add ${missing.length} built-in preset${missing.length > 1 ? 's' : ''} back to your library?`)) return;
+  addPresets(structuredClone(missing));
+  renderPresetManager();
+}
+
+function movePreset(from, to) {
+  const active = presets[activePresetIndex];
+  presets.splice(to, 0, ...presets.splice(from, 1));
+  activePresetIndex = presets.indexOf(active);
+  savePresets();
+  saveActivePresetIndex();
+  renderPresetButtons();
+  renderPresetManager();
+}
+
+function deletePreset(index) {
+  const preset = presets[index];
+  if (presets.length === 1 || !confirm(`Delete the preset "${preset.name}"?`)) return;
+  presets.splice(index, 1);
+  if (index === activePresetIndex) {
+    selectPreset(Math.min(index, presets.length - 1));
+  } else {
+    if (index < activePresetIndex) activePresetIndex--;
+    savePresets();
+    saveActivePresetIndex();
+    renderPresetButtons();
+  }
+  renderPresetManager();
+}
+
+function openPresetManager() {
+  renderPresetManager();
+  presetManagerModal.style.display = 'flex';
+}
+
+function closePresetManager() {
+  presetManagerModal.style.display = 'none';
+}
+
+function renderPresetManager() {
+  presetManagerList.innerHTML = '';
+  presets.forEach((preset, index) => {
+    const row = document.createElement('div');
+    row.className = 'param-row';
+
+    const name = document.createElement('button');
+    name.className = index === activePresetIndex ? 'preset-btn active' : 'preset-btn';
+    name.style.flexGrow = '1';
+    name.textContent = preset.name;
+    name.title = preset.description || 'Load this preset';
+    name.addEventListener('click', () => {
+      selectPreset(index);
+      renderPresetManager();
+    });
+    row.appendChild(name);
+
+    const actions = [
+      ['↑', 'Move up', () => movePreset(index, index - 1), index === 0],
+      ['↓', 'Move down', () => movePreset(index, index + 1), index === presets.length - 1],
+      ['Edit', 'Rename and edit description', () => {
+        closePresetManager();
+        openRenameModal(index);
+      }],
+      ['Copy', 'Duplicate this preset', () => {
+        addPresets([{ ...structuredClone(preset), builtInId: null }]);
+        renderPresetManager();
+      }],
+      ['Delete', 'Delete this preset', () => deletePreset(index), presets.length === 1],
+    ];
+    actions.forEach(([label, title, onClick, disabled = false]) => {
+      const button = document.createElement('button');
+      button.className = 'secondary';
+      button.textContent = label;
+      button.title = title;
+      button.disabled = disabled;
+      button.addEventListener('click', onClick);
+      row.appendChild(button);
+    });
+    presetManagerList.appendChild(row);
+  });
+}
+
+// --- Undo/Redo ---
+// Every change to the library goes through savePresets, which records the
+// state before it here. Changes to the same preset less than
+// HISTORY_COALESCE_MS apart (typing a number, dragging a point) form one step.
+// Each step remembers which preset was active so undoing switches back to it.
+const HISTORY_LIMIT = 100;
+const HISTORY_COALESCE_MS = 1000;
+const undoStack = [];
+const redoStack = [];
+let savedSnapshot = null; // The library as last saved, set once presets are loaded
+let lastChange = { time: 0, presetIndex: -1 };
+
+function recordHistory(snapshot) {
+  if (savedSnapshot !== null && snapshot !== savedSnapshot) {
+    const now = Date.now();
+    if (now - lastChange.time > HISTORY_COALESCE_MS || lastChange.presetIndex !== activePresetIndex) {
+      undoStack.push({ snapshot: savedSnapshot, presetIndex: activePresetIndex });
+      if (undoStack.length > HISTORY_LIMIT) undoStack.shift();
+    }
+    lastChange = { time: now, presetIndex: activePresetIndex };
+    redoStack.length = 0;
+  }
+  savedSnapshot = snapshot;
+  updateHistoryButtons();
+}
+
+function stepHistory(from, to) {
+  const entry = from.pop();
+  if (!entry) return;
+  to.push({ snapshot: savedSnapshot, presetIndex: entry.presetIndex });
+  savedSnapshot = entry.snapshot; // So the save below is not recorded as a new change
+  lastChange = { time: 0, presetIndex: -1 };
+
+  presets = JSON.parse(entry.snapshot);
+  const index = Math.min(entry.presetIndex, presets.length - 1);
+  if (index !== activePresetIndex) stopAllPlayback();
+  activePresetIndex = index;
+  savePresets();
+  saveActivePresetIndex();
+  updateUIFromPreset(presets[activePresetIndex]);
+  renderPresetButtons();
+  if (presetManagerModal.style.display !== 'none') renderPresetManager();
+  updatePreview();
+}
+
+const undo = () => stepHistory(undoStack, redoStack);
+const redo = () => stepHistory(redoStack, undoStack);
+
+function updateHistoryButtons() {
+  undoBtn.disabled = undoStack.length === 0;
+  redoBtn.disabled = redoStack.length === 0;
+}
+
+// --- Preset Management ---
+function savePresets() {
+  const snapshot = JSON.stringify(presets);
+  localStorage.setItem('brainwavePresets', snapshot);
+  localStorage.setItem('brainwavePresetsSchemaVersion', PRESET_SCHEMA_VERSION);
+  recordHistory(snapshot);
+}
+
+function saveActivePresetIndex() {
+  localStorage.setItem('brainwaveActivePresetIndex', activePresetIndex);
+}
+
+// Libraries from before built-in ids knew their built-ins by name only
+function tagBuiltInCopiesByName() {
+  for (const builtIn of BUILT_IN_PRESETS) {
+    const copy = presets.find(p => p.builtInId === null && p.name === builtIn.name);
+    if (copy) copy.builtInId = builtIn.builtInId;
+  }
+}
+
+function loadPresetsAndState() {
+  const storedPresets = localStorage.getItem('brainwavePresets');
+  if (storedPresets) {
+    // Presets saved before versioning have no stored schema version
+    const storedVersion = +(localStorage.getItem('brainwavePresetsSchemaVersion') ?? 0);
+    presets = JSON.parse(storedPresets).map(p => migratePreset(p, storedVersion));
+    if (storedVersion < 7) tagBuiltInCopiesByName();
+    if (storedVersion < PRESET_SCHEMA_VERSION) savePresets();
+  }
+  // A new (or emptied) library starts with the built-in presets
+  if (presets.length === 0) {
+    presets = structuredClone(BUILT_IN_PRESETS);
+    savePresets();
+  }
+  savedSnapshot = JSON.stringify(presets);
+
+  const storedActivePresetIndex = localStorage.getItem('brainwaveActivePresetIndex');
+  if (storedActivePresetIndex !== null && +storedActivePresetIndex < presets.length) {
+    activePresetIndex = +storedActivePresetIndex;
+  } else {
+    activePresetIndex = 0;
+    saveActivePresetIndex();
+  }
+}
+
+function openRenameModal(index) {
+  currentEditingPresetIndex = index;
+  const preset = presets[index];
+  presetNameInput.value = preset.name;
+  presetDescriptionInput.value = preset.description || '';
+  renamePresetModal.style.display = 'flex';
+  presetNameInput.focus();
+}
+
+function closeRenameModal() {
+  renamePresetModal.style.display = 'none';
+}
+
+function handleRenamePreset(event) {
+  event.preventDefault();
+  const newName = presetNameInput.value;
+  if (newName && newName.trim() !== '') {
+    const preset = presets[currentEditingPresetIndex];
+    preset.name = newName.trim();
+    preset.description = presetDescriptionInput.value.trim();
+    savePresets();
+    renderPresetButtons();
+    updateUIFromPreset(presets[activePresetIndex]); // Update description display
+    closeRenameModal();
+  }
+}
+
+function renderPresetButtons() {
+  renderAlarmPresetOptions();
+  presetsContainer.innerHTML = ''; // Clear existing buttons
+  presets.forEach((preset, index) => {
+    const button = document.createElement('button');
+    button.classList.add('preset-btn');
+    if (index === activePresetIndex) {
+      button.classList.add('active');
+    }
+    button.textContent = preset.name;
+    button.title = "Double-click or long-press to rename and edit description.";
+
+    let pressTimer = null;
+    let longPress = false;
+
+    button.addEventListener('mousedown', (e) => {
+      longPress = false;
+      pressTimer = setTimeout(() => {
+        longPress = true;
+        openRenameModal(index);
+      }, 750);
+    });
+
+    button.addEventListener('mouseup', () => {
+      clearTimeout(pressTimer);
+    });
+
+    button.addEventListener('mouseleave', () => {
+      clearTimeout(pressTimer);
+    });
+
+    button.addEventListener('click', (e) => {
+      if (longPress) {
+        e.preventDefault();
+        return;
+      }
+      selectPreset(index);
+    });
+
+    button.addEventListener('dblclick', () => openRenameModal(index));
+
+    presetsContainer.appendChild(button);
+  });
+}
+
+// --- Session History ---
+// Each playback session is kept in IndexedDB with a snapshot of its preset,
+// the segments played between pauses and seeks, how far into the schedule it got and
+// an optional rating and note. Sessions with less than MIN_SESSION_SECONDS of
+// listening (accidental starts) are dropped. A running session is saved
+// every SESSION_CHECKPOINT_MS and when the page is hidden, so closing the tab
+// loses at most a few seconds.
+const HISTORY_DB_NAME = 'brainwave-sync';
+const HISTORY_DB_VERSION = 2; // 2 added AMBIENT_STORE
+const SESSION_STORE = 'sessions';
+const AMBIENT_STORE = 'ambientFiles';
+const MIN_SESSION_SECONDS = 10;
+const SESSION_CHECKPOINT_MS = 30000;
+const BANDS = [
+  { name: 'delta', label: 'Delta (< 4 Hz)', max: 4 },
+  { name: 'theta', label: 'Theta (4–8 Hz)', max: 8 },
+  { name: 'alpha', label: 'Alpha (8–13 Hz)', max: 13 },
+  { name: 'beta', label: 'Beta (13–30 Hz)', max: 30 },
+  { name: 'gamma', label: 'Gamma (30+ Hz)', max: Infinity },
+];
+let historyDbPromise = null;
+let currentSession = null; // { id, record, opts, segment, saving, lastCheckpoint }
+let editingSession = null;
+
+function openHistoryDb() {
+  historyDbPromise ??= new Promise((resolve, reject) => {
+    const request = indexedDB.open(HISTORY_DB_NAME, HISTORY_DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(SESSION_STORE)) db.createObjectStore(SESSION_STORE, { keyPath: 'id', autoIncrement: true });
+      if (!db.objectStoreNames.contains(AMBIENT_STORE)) db.createObjectStore(AMBIENT_STORE, { keyPath: 'id' });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+  return historyDbPromise;
+}
+
+async function withStore(storeName, mode, action) {
+  const db = await openHistoryDb();
+  return new Promise((resolve, reject) => {
+    const request = action(db.transaction(storeName, mode).objectStore(storeName));
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+const putSession = record => withStore(SESSION_STORE, 'readwrite', store => store.put(record));
+const deleteSession = id => withStore(SESSION_STORE, 'readwrite', store => store.delete(id));
+const getSessions = () => withStore(SESSION_STORE, 'readonly', store => store.getAll());
+
+const bandOf = hz => BANDS.find(band => hz < band.max).name;
+
+// Returns a copy of `record` with the played stretch [from, to] of the
+// schedule added to its segments and totals
+function foldSegment(record, segment, opts, to) {
+  const { startedAt, from } = segment;
+  to = Math.max(from, to);
+  const bandSec = { ...record.bandSec };
+  for (let t = from; t < to; t++) bandSec[bandOf(getBeatAt(t, opts))] += Math.min(1, to - t);
+  return {
+    ...record,
+    segments: [...record.segments, { startedAt, endedAt: new Date().toISOString(), fromSec: from, toSec: to }],
+    listenedSec: record.listenedSec + (to - from),
+    reachedSec: Math.max(record.reachedSec, to),
+    bandSec,
+  };
+}
+
+// Saves are chained so the id from the first save is used by the next
+function persistSession(session, record) {
+  session.saving = session.saving
+    .then(() => putSession(session.id === undefined ? record : { ...record, id: session.id }))
+    .then(id => { session.id = id; })
+    .catch(e => console.error('Could not save session history', e));
+  return session.saving;
+}
+
+// Called whenever playback starts or resumes at `from` seconds into the schedule
+function beginSessionSegment(opts, from) {
+  if (!currentSession) {
+    const preset = presets[activePresetIndex];
+    currentSession = {
+      id: undefined,
+      record: {
+        presetName: preset.name,
+        preset: structuredClone(preset),
+        beatMode: opts.beatMode,
+        startedAt: new Date().toISOString(),
+        endedAt: null,
+        scheduleSec: getTotalDuration(opts),
+        listenedSec: 0,
+        reachedSec: from,
+        completed: false,
+        segments: [],
+        pauses: 0,
+        bandSec: Object.fromEntries(BANDS.map(band => [band.name, 0])),
+        rating: null,
+        note: '',
+      },
+      saving: Promise.resolve(),
+      lastCheckpoint: Date.now(),
+    };
+  } else {
+    currentSession.record.pauses = countPauses(currentSession.record) + 1;
+  }
+  currentSession.opts = opts;
+  currentSession.segment = { startedAt: new Date().toISOString(), from };
+}
+
+// Sessions saved before `pauses` was recorded ended a segment only on pause
+const countPauses = record => record.pauses ?? Math.max(0, record.segments.length - 1);
+
+// Called on pause with the schedule position playback stopped at
+function endSessionSegment(elapsed) {
+  const session = currentSession;
+  if (!session?.segment) return;
+  session.record = foldSegment(session.record, session.segment, session.opts, elapsed);
+  session.segment = null;
+  persistSession(session, session.record);
+}
+
+// Called when the schedule is edited during playback, so time already
+// listened to is counted against the schedule it was heard with
+function switchSessionOpts(opts, elapsed) {
+  const session = currentSession;
+  if (!session?.segment) return;
+  session.record = foldSegment(session.record, session.segment, session.opts, elapsed);
+  session.opts = opts;
+  session.segment = { startedAt: new Date().toISOString(), from: elapsed };
+}
+
+// Called when playback seeks from `from` to `to` seconds; not a pause
+function seekSessionSegment(from, to) {
+  const session = currentSession;
+  if (!session?.segment) return;
+  session.record = foldSegment(session.record, session.segment, session.opts, from);
+  session.segment = { startedAt: new Date().toISOString(), from: to };
+}
+
+// Saves a running session without closing its segment
+function checkpointSession(elapsed) {
+  const session = currentSession;
+  if (!session) return;
+  session.lastCheckpoint = Date.now();
+  const record = session.segment ? foldSegment(session.record, session.segment, session.opts, elapsed) : session.record;
+  if (record.listenedSec >= MIN_SESSION_SECONDS) persistSession(session, record);
+}
+
+// Called when playback stops for good; offers to rate the finished session
+async function finishSession(elapsed) {
+  const session = currentSession;
+  if (!session) return;
+  currentSession = null;
+  let record = session.segment ? foldSegment(session.record, session.segment, session.opts, elapsed) : session.record;
+  record = { ...record, endedAt: new Date().toISOString(), completed: record.scheduleSec > 0 && record.reachedSec >= record.scheduleSec };
+
+  if (record.listenedSec < MIN_SESSION_SECONDS) {
+    await session.saving;
+    if (session.id !== undefined) deleteSession(session.id).catch(e => console.error(e));
+    return;
+  }
+  await persistSession(session, record);
+  if (session.id !== undefined) openSessionNote({ ...record, id: session.id });
+}
+
+function openSessionNote(record) {
+  editingSession = record;
+  q('sessionNoteSummary').textContent =
+    `${record.presetName} · ${formatDuration(record.listenedSec)} listened${record.completed ? ' · completed' : ''}`;
+  q('sessionRating').value = record.rating ?? '';
+  q('sessionNote').value = record.note || '';
+  sessionNoteModal.style.display = 'flex';
+}
+
+async function saveSessionNote(event) {
+  event.preventDefault();
+  const rating = q('sessionRating').value;
+  const record = { ...editingSession, rating: rating === '' ? null : +rating, note: q('sessionNote').value.trim() };
+  sessionNoteModal.style.display = 'none';
+  await putSession(record);
+  if (historyModal.style.display !== 'none') renderHistory();
+}
+
+function formatDuration(seconds) {
+  const h = Math.floor(seconds / 3600);
+  const m = Math.floor((seconds % 3600) / 60);
+  return h > 0 ? `${h}h ${m}m` : `${m}m ${Math.floor(seconds % 60)}s`;
+}
+
+// Local calendar date (YYYY-MM-DD) of the Monday starting the week of `iso`
+function weekOf(iso) {
+  const date = new Date(iso);
+  date.setDate(date.getDate() - (date.getDay() + 6) % 7);
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+function summarizeSessions(sessions) {
+  const byPreset = {}, byWeek = {};
+  const byBand = Object.fromEntries(BANDS.map(band => [band.name, 0]));
+  for (const s of sessions) {
+    const preset = byPreset[s.presetName] ??= { sessions: 0, listenedSec: 0, completed: 0 };
+    preset.sessions++;
+    preset.listenedSec += s.listenedSec;
+    if (s.completed) preset.completed++;
+    const week = byWeek[weekOf(s.startedAt)] ??= { sessions: 0, listenedSec: 0 };
+    week.sessions++;
+    week.listenedSec += s.listenedSec;
+    for (const band of BANDS) byBand[band.name] += s.bandSec?.[band.name] || 0;
+  }
+  return { byPreset, byBand, byWeek };
+}
+
+function historyTable(headings, rows) {
+  const table = document.createElement('table');
+  table.className = 'history-table';
+  const head = table.createTHead().insertRow();
+  headings.forEach(text => { head.appendChild(document.createElement('th')).textContent = text; });
+  const body = table.createTBody();
+  rows.forEach(cells => {
+    const row = body.insertRow();
+    cells.forEach(cell => {
+      const td = row.insertCell();
+      if (cell instanceof Node) td.appendChild(cell);
+      else td.textContent = cell;
+    });
+  });
+  return table;
+}
+
+async function renderHistory() {
+  const sessions = (await getSessions()).sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+  const { byPreset, byBand, byWeek } = summarizeSessions(sessions);
+  const heading = text => Object.assign(document.createElement('h3'), { textContent: text });
+  const button = (label, title, onClick) => {
+    const b = Object.assign(document.createElement('button'), { className: 'secondary', textContent: label, title });
+    b.addEventListener('click', onClick);
+    return b;
+  };
+
+  if (sessions.length === 0) {
+    historyContent.replaceChildren(Object.assign(document.createElement('p'), { textContent: 'No sessions recorded yet.' }));
+    return;
+  }
+  historyContent.replaceChildren(
+    heading('Per preset'),
+    historyTable(['Preset', 'Sessions', 'Completed', 'Listened'],
+      Object.entries(byPreset).map(([name, t]) => [name, t.sessions, t.completed, formatDuration(t.listenedSec)])),
+    heading('Per band'),
+    historyTable(['Band', 'Listened'], BANDS.filter(band => byBand[band.name] > 0).map(band => [band.label, formatDuration(byBand[band.name])])),
+    heading('Per week'),
+    historyTable(['Week of', 'Sessions', 'Listened'],
+      Object.entries(byWeek).sort(([a], [b]) => b.localeCompare(a)).map(([week, t]) => [week, t.sessions, formatDuration(t.listenedSec)])),
+    heading('Sessions'),
+    historyTable(['Started', 'Preset', 'Mode', 'Listened', 'Reached', 'Pauses', 'Rating', 'Note', ''],
+      sessions.map(s => {
+        const actions = document.createElement('span');
+        actions.append(
+          button('Edit', 'Rate or add a note', () => openSessionNote(s)),
+          button('✕', 'Delete this session', async () => {
+            if (!confirm('Delete this session from the history?')) return;
+            await deleteSession(s.id);
+            renderHistory();
+          }),
+        );
+        return [
+          new Date(s.startedAt).toLocaleString(),
+          s.presetName,
+          s.beatMode,
+          formatDuration(s.listenedSec),
+          s.completed ? 'end ✓' : `${formatDuration(s.reachedSec)} of ${formatDuration(s.scheduleSec)}`,
+          countPauses(s),
+          s.rating ? '★'.repeat(s.rating) : '',
+          s.note,
+          actions,
+        ];
+      })),
+  );
+}
+
+async function openHistory() {
+  historyModal.style.display = 'flex';
+  try {
+    await renderHistory();
+  } catch (e) {
+    console.error(e);
+    historyContent.textContent = `Could not read the session history: ${e.message}`;
+  }
+}
+
+function exportHistoryCsv(sessions) {
+  const columns = [
+    ['id', s => s.id],
+    ['started_at', s => s.startedAt],
+    ['ended_at', s => s.endedAt],
+    ['preset', s => s.presetName],
+    ['mode', s => s.beatMode],
+    ['carrier_hz', s => s.preset.carrierHz],
+    ['start_beat_hz', s => s.preset.startBeatHz],
+    ['schedule_min', s => (s.scheduleSec / 60).toFixed(1)],
+    ['listened_min', s => (s.listenedSec / 60).toFixed(1)],
+    ['reached_min', s => (s.reachedSec / 60).toFixed(1)],
+    ['completed', s => s.completed],
+    ['pauses', countPauses],
+    ...BANDS.map(band => [`${band.name}_min`, s => ((s.bandSec?.[band.name] || 0) / 60).toFixed(1)]),
+    ['rating', s => s.rating ?? ''],
+    ['note', s => s.note],
+  ];
+  const escape = value => {
+    const text = String(value ?? '');
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  const lines = [columns.map(([name]) => name).join(','), ...sessions.map(s => columns.map(([, get]) => escape(get(s))).join(','))];
+  downloadBlob(new Blob([lines.join('\r\n') + '\r\n'], { type: 'text/csv' }), 'bws_sessions.csv');
+}
+
+// --- Ambient Sound ---
+// A preset can mix a local audio file under the session. The file itself is
+// kept in IndexedDB (AMBIENT_STORE) under a random id that the preset refers
+// to, so presets exported or shared to another device simply have no ambient
+// file there. Files are deleted once neither a preset nor the undo history
+// refers to them.
+const AMBIENT_DECODE_RATE = 48000; // Live playback resamples to the device rate
+
+let ambientCache = { id: null, promise: null, buffer: null }; // Decoded file of the active preset
+
+const putAmbientFile = record => withStore(AMBIENT_STORE, 'readwrite', store => store.put(record));
+const getAmbientFile = id => withStore(AMBIENT_STORE, 'readonly', store => store.get(id));
+const deleteAmbientFile = id => withStore(AMBIENT_STORE, 'readwrite', store => store.delete(id));
+const getAmbientFileIds = () => withStore(AMBIENT_STORE, 'readonly', store => store.getAllKeys());
+
+// Decodes a stored file at `sampleRate`; null if it is not on this device
+async function decodeAmbientFile(id, sampleRate) {
+  const record = await getAmbientFile(id);
+  if (!record) return null;
+  return new OfflineAudioContext(1, 1, sampleRate).decodeAudioData(record.data.slice(0));
+}
+
+// Decodes the file for live playback, keeping only the latest one
+function loadAmbient(id) {
+  if (ambientCache.id !== id) {
+    const entry = { id, promise: null, buffer: null };
+    entry.promise = decodeAmbientFile(id, AMBIENT_DECODE_RATE)
+      .then(buffer => (entry.buffer = buffer))
+      .catch(e => {
+        console.error('Could not decode the ambient sound', e);
+        return null;
+      });
+    ambientCache = entry;
+  }
+  return ambientCache.promise;
+}
+
+// The decoded file if it is ready, for engines building their graph
+const cachedAmbient = id => (ambientCache.id === id ? ambientCache.buffer : null);
+
+async function chooseAmbientFile(file) {
+  const data = await file.arrayBuffer();
+  const id = crypto.randomUUID();
+  try {
+    await putAmbientFile({ id, name: file.name, type: file.type, data });
+    if (!(await loadAmbient(id))) throw new Error('The file is not an audio format this browser can play.');
+  } catch (e) {
+    deleteAmbientFile(id).catch(() => {});
+    alert('Could not use this file: ' + e.message);
+    return;
+  }
+  const preset = presets[activePresetIndex];
+  preset.ambientId = id;
+  preset.ambientName = file.name;
+  savePresets();
+  updateAmbientUI();
+  updatePreview();
+  pruneAmbientFiles();
+}
+
+function removeAmbientFile() {
+  const preset = presets[activePresetIndex];
+  preset.ambientId = null;
+  preset.ambientName = '';
+  savePresets();
+  updateAmbientUI();
+  updatePreview();
+  pruneAmbientFiles();
+}
+
+async function pruneAmbientFiles() {
+  const referenced = [JSON.stringify(presets), ...undoStack.map(e => e.snapshot), ...redoStack.map(e => e.snapshot)];
+  try {
+    for (const id of await getAmbientFileIds()) {
+      if (!referenced.some(snapshot => snapshot.includes(id))) await deleteAmbientFile(id);
+    }
+  } catch (e) {
+    console.error('Could not clean up ambient sound files', e);
+  }
+}
+
+async function updateAmbientUI() {
+  const preset = presets[activePresetIndex];
+  ambientSettings.style.display = preset.ambientId ? 'block' : 'none';
+  q('removeAmbientBtn').disabled = !preset.ambientId;
+  ambientNameLabel.textContent = preset.ambientId ? preset.ambientName : 'None';
+  ambientNameLabel.title = ambientNameLabel.textContent;
+  if (preset.ambientId && !(await getAmbientFile(preset.ambientId).catch(() => null)) && presets[activePresetIndex] === preset) {
+    ambientNameLabel.textContent = `${preset.ambientName} (not on this device)`;
+  }
+}
+
+// --- Sleep Timer & Scheduled Start ---
+// The sleep timer stops playback after a set listening time, fading out over
+// its last sleepFadeSec seconds, whatever the preset's endAction. It counts
+// schedule time, so pausing also pauses the timer. The scheduled start
+// begins a preset at a time of day while the app is open; timers are checked
+// once a second (browsers may delay this by up to a minute in hidden tabs).
+const sleepTimer = { minutes: 0, fadeSec: 120, stopAt: null, left: null }; // `left`: seconds to go while paused
+let scheduledStart = null; // { presetName, at: Date }
+
+function loadSleepTimer() {
+  Object.assign(sleepTimer, JSON.parse(localStorage.getItem('brainwaveSleepTimer') || '{}'), { stopAt: null });
+  sleepTimerInput.value = sleepTimer.minutes;
+  sleepFadeInput.value = sleepTimer.fadeSec;
+}
+
+function updateSleepTimerFromUI() {
+  sleepTimer.minutes = +sleepTimerInput.value;
+  sleepTimer.fadeSec = Math.max(0, +sleepFadeInput.value);
+  localStorage.setItem('brainwaveSleepTimer', JSON.stringify({ minutes: sleepTimer.minutes, fadeSec: sleepTimer.fadeSec }));
+  if (engine && engine.started) {
+    // Re-arm from now, undoing a fade that had already begun
+    armSleepTimer(engine.elapsed());
+    if (engine.fading) {
+      engine.fading = false;
+      engine.setVolume(engine.opts.volume ?? 1.0);
+    }
+  } else {
+    sleepTimer.left = null; // Paused: run the new length from the resume
+  }
+  updateTimerStatus();
+}
+
+// Called when playback starts or the timer changes, `from` seconds into the schedule
+function armSleepTimer(from) {
+  sleepTimer.stopAt = sleepTimer.minutes > 0 ? from + sleepTimer.minutes * 60 : null;
+}
+
+// Called on pause, keeping the time left for the resume
+function pauseSleepTimer(elapsed) {
+  sleepTimer.left = sleepTimer.stopAt === null ? null : Math.max(0, sleepTimer.stopAt - elapsed);
+  sleepTimer.stopAt = null;
+}
+
+// Called when playback starts or resumes `from` seconds into the schedule
+function resumeSleepTimer(from) {
+  if (sleepTimer.left === null) armSleepTimer(from);
+  else sleepTimer.stopAt = from + sleepTimer.left;
+  sleepTimer.left = null;
+}
+
+// Next occurrence of the HH:MM time of day
+function nextTimeOfDay(hhmm) {
+  const [hours, minutes] = hhmm.split(':').map(Number);
+  const at = new Date();
+  at.setHours(hours, minutes, 0, 0);
+  if (at <= new Date()) at.setDate(at.getDate() + 1);
+  return at;
+}
+
+function toggleScheduledStart() {
+  if (scheduledStart) {
+    scheduledStart = null;
+  } else {
+    if (!alarmTimeInput.value) {
+      alert('Choose a start time first.');
+      return;
+    }
+    scheduledStart = { presetName: alarmPresetInput.value, at: nextTimeOfDay(alarmTimeInput.value) };
+  }
+  updateTimerStatus();
+}
+
+async function fireScheduledStart() {
+  const { presetName } = scheduledStart;
+  scheduledStart = null;
+  const index = presets.findIndex(p => p.name === presetName);
+  if (index < 0) {
+    alert(`The scheduled preset "${presetName}" no longer exists.`);
+    return;
+  }
+  selectPreset(index);
+  await startPlayback();
+}
+
+function renderAlarmPresetOptions() {
+  const selected = alarmPresetInput.value || presets[activePresetIndex]?.name;
+  alarmPresetInput.replaceChildren(...presets.map(p => {
+    const option = new Option(p.name, p.name, false, p.name === selected);
+    option.style.background = '#0b1220';
+    return option;
+  }));
+}
+
+function updateTimerStatus() {
+  const parts = [];
+  if (sleepTimer.stopAt !== null && engine && engine.started) {
+    const left = Math.max(0, sleepTimer.stopAt - engine.elapsed());
+    parts.push(`Sleep in ${Math.floor(left / 60)}:${String(Math.floor(left % 60)).padStart(2, '0')}`);
+  }
+  if (scheduledStart) {
+    const at = scheduledStart.at.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    parts.push(`"${scheduledStart.presetName}" starts at ${at}`);
+  }
+  timerStatus.textContent = parts.join(' · ');
+  alarmBtn.textContent = scheduledStart ? 'Cancel' : 'Arm';
+}
+
+function tickTimers() {
+  if (engine && engine.started && sleepTimer.stopAt !== null) {
+    const elapsed = engine.elapsed();
+    if (elapsed >= sleepTimer.stopAt) stopAllPlayback();
+    else if (!engine.fading && elapsed >= sleepTimer.stopAt - sleepTimer.fadeSec) engine.fadeOut(sleepTimer.stopAt - elapsed);
+  }
+  if (scheduledStart && Date.now() >= scheduledStart.at) fireScheduledStart();
+  // Here rather than in loop(): animation frames stop while the screen is locked
+  if (engine && engine.started && currentSession && Date.now() - currentSession.lastCheckpoint > SESSION_CHECKPOINT_MS) {
+    checkpointSession(engine.elapsed());
+  }
+  updateTimerStatus();
+  if (engine && engine.started) updateMediaSession();
+}
+
+// --- Media Session & Background Playback ---
+// Mobile browsers only treat a page as playing media (lock-screen and
+// notification controls, hardware media keys, no suspension in the
+// background) while an <audio> element is playing; Web Audio on its own does
+// not count. A silent looping WAV therefore plays alongside the engine. The
+// installed PWA and the Android TWA build run in Chrome and behave the same.
+let keepAliveAudio = null;
+let mediaMetadataKey = '';
+
+function startKeepAlive() {
+  if (!keepAliveAudio) {
+    const sampleRate = 8000, numFrames = sampleRate * 10;
+    const header = createWavHeader({ sampleRate, numChannels: 1, bitsPerSample: 16, numFrames });
+    keepAliveAudio = new Audio(URL.createObjectURL(new Blob([header, new Uint8Array(numFrames * 2)], { type: 'audio/wav' })));
+    keepAliveAudio.loop = true;
+    // The system pauses the element when another app takes the audio focus
+    // (a phone call, say); pause the session with it
+    keepAliveAudio.addEventListener('pause', () => {
+      if (engine && engine.started) pausePlayback();
+    });
+  }
+  keepAliveAudio.play().catch(() => {}); // Best effort; playback works without it
+}
+
+function stopKeepAlive() {
+  keepAliveAudio?.pause();
+}
+
+const playbackPosition = () => (engine && engine.started ? engine.elapsed() : pausedTime);
+
+function updateMediaSession() {
+  if (!('mediaSession' in navigator)) return;
+  const playing = engine && engine.started;
+  navigator.mediaSession.playbackState = playing ? 'playing' : engine ? 'paused' : 'none';
+  if (!engine) return;
+
+  const position = playbackPosition();
+  const title = presets[activePresetIndex].name;
+  const artist = `${getBeatAt(position, engine.opts).toFixed(1)} Hz · ${engine.opts.beatMode}`;
+  // Only replace the metadata when it changes, as that redraws the notification
+  if (`${title}|${artist}` !== mediaMetadataKey) {
+    mediaMetadataKey = `${title}|${artist}`;
+    navigator.mediaSession.metadata = new MediaMetadata({
+      title,
+      artist,
+      album: 'Brainwave Sync',
+      artwork: [
+        { src: 'icons/icon-192.png', sizes: '192x192', type: 'image/png' },
+        { src: 'icons/icon-512.png', sizes: '512x512', type: 'image/png' },
+      ],
+    });
+  }
+  // Holding the last beat runs past the schedule, so the duration grows with it
+  const duration = Math.max(getTotalDuration(engine.opts), position);
+  if (duration > 0) {
+    try { navigator.mediaSession.setPositionState({ duration, position, playbackRate: 1 }); } catch {} // Ignore errors
+  }
+}
+
+function setupMediaSession() {
+  if (!('mediaSession' in navigator)) return;
+  const handlers = {
+    play: () => { if (!(engine && engine.started)) startPlayback(); },
+    pause: () => { if (engine && engine.started) pausePlayback(); },
+    stop: stopAllPlayback,
+    seekto: details => seekTo(details.seekTime),
+    seekbackward: details => seekTo(playbackPosition() - (details.seekOffset || 30)),
+    seekforward: details => seekTo(playbackPosition() + (details.seekOffset || 30)),
+    previoustrack: () => skipToPoint(-1),
+    nexttrack: () => skipToPoint(1),
+  };
+  for (const [action, handler] of Object.entries(handlers)) {
+    try { navigator.mediaSession.setActionHandler(action, handler); } catch {} // Not every browser knows every action
+  }
+}
+
+// Moves playback to `seconds` into the schedule, keeping it paused or playing
+function seekTo(seconds) {
+  const target = Math.max(0, seconds);
+  if (engine && engine.started) {
+    // Restart the running engine in place; the sleep timer keeps its time left
+    const position = engine.elapsed();
+    engine.stop();
+    engine.start(target);
+    seekSessionSegment(position, target);
+    if (sleepTimer.stopAt !== null) sleepTimer.stopAt += target - position;
+    updateMediaSession();
+  } else {
+    pausedTime = target;
+    updateMediaSession();
+    updatePreview();
+  }
+}
+
+// --- Offline & Updates ---
+// sw.js precaches the app. A new version installs in the background and
+// waits; the footer then offers to reload into it, which tells the waiting
+// worker to take over and reloads once it controls the page. The footer also
+// shows when the app is ready to work offline.
+const offlineStatus = q('offlineStatus');
+const updatePrompt = q('updatePrompt');
+let waitingWorker = null;
+let offlineReady = false; // The active worker has precached the app
+
+function updateOfflineStatus() {
+  if (!navigator.onLine) offlineStatus.textContent = offlineReady ? '● Offline · running from this device' : '● Offline';
+  else offlineStatus.textContent = offlineReady ? '✓ Available offline' : '';
+}
+
+function showUpdatePrompt(worker) {
+  waitingWorker = worker;
+  updatePrompt.style.display = 'flex';
+}
+
+async function registerServiceWorker() {
+  if (!('serviceWorker' in navigator)) return;
+  let registration;
+  try {
+    registration = await navigator.serviceWorker.register('./sw.js');
+  } catch (err) {
+    console.warn('Service worker registration failed:', err);
+    return;
+  }
+  // Only a worker replacing an existing one is an update; the first install
+  // just makes the app available offline
+  const hasController = !!navigator.serviceWorker.controller;
+  if (registration.waiting && hasController) showUpdatePrompt(registration.waiting);
+  registration.addEventListener('updatefound', () => {
+    const worker = registration.installing;
+    worker?.addEventListener('statechange', () => {
+      if (worker.state === 'installed' && navigator.serviceWorker.controller) showUpdatePrompt(worker);
+    });
+  });
+
+  let reloading = false;
+  navigator.serviceWorker.addEventListener('controllerchange', () => {
+    if (!hasController || reloading) return;
+    reloading = true;
+    location.reload();
+  });
+  navigator.serviceWorker.ready.then(() => {
+    offlineReady = true;
+    updateOfflineStatus();
+  });
+  // Check for a new version when the app comes back to the foreground
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'visible') registration.update().catch(() => {});
+  });
+}
+
+function reloadIntoUpdate() {
+  if (!waitingWorker) return;
+  if (engine && engine.started && !confirm('Reloading stops the current session. Reload now?')) return;
+  waitingWorker.postMessage({ type: 'SKIP_WAITING' });
+}
 
-// --- Point Editor Logic ---
-function savePoint(pointNumber) {
-  const index = pointNumber - 2;
-  const currentStages = presets[activePresetIndex].stages;
-  if (index < 0 || index >= currentStages.length) return;
+// --- Seeking ---
+const SEEK_STEP_SECONDS = 60;
+// "Previous point" within this many seconds of a point goes to the one before
+const PREVIOUS_POINT_GRACE_SECONDS = 2;
 
-  currentStages[index] = {
-    beat: +pointBeatInput.value,
-    hours: +pointHoursInput.value,
-    minutes: +pointMinutesInput.value,
-  };
-  savePresets(); // Save changes to localStorage
+let scrubTo = null; // Position being previewed while the seek bar or canvas is dragged
+
+function formatClock(seconds) {
+  const s = Math.floor(seconds);
+  return `${Math.floor(s / 3600)}:${String(Math.floor(s / 60) % 60).padStart(2, '0')}:${String(s % 60).padStart(2, '0')}`;
 }
 
-function loadPoint(pointNumber) {
-  const index = pointNumber - 2;
-  const currentStages = presets[activePresetIndex].stages;
-  if (index < 0 || index >= currentStages.length) return;
+function playbackOpts() {
+  return engine && engine.started ? engine.opts : getOpts();
+}
 
-  const data = currentStages[index];
-  pointBeatInput.value = data.beat;
-  pointHoursInput.value = data.hours;
-  pointMinutesInput.value = data.minutes;
-  currentEditingPoint = pointNumber;
+// Times of every schedule point, including the start
+function pointTimes(opts) {
+  let time = 0;
+  return [0, ...opts.stages.map(stage => time += stage.duration)];
 }
 
-function updateTotalPointsUI() {
-    const total = +totalPointsInput.value;
-    if (total <= 1) {
-        pointEditor.style.display = 'none';
-        singlePointDurationContainer.style.display = 'block';
-    } else {
-        pointEditor.style.display = 'flex';
-        singlePointDurationContainer.style.display = 'none';
-        editPointSelector.max = total;
-        // Ensure editPointSelector is set to a valid point, defaulting to 2 if total is 2
-        if (+editPointSelector.value > total || (+editPointSelector.value === 1 && total >= 2)) {
-            editPointSelector.value = 2;
-            loadPoint(2);
-        } else if (total === 2 && +editPointSelector.value !== 2) {
-            editPointSelector.value = 2;
-            loadPoint(2);
-        }
-    }
+function skipToPoint(direction) {
+  const position = playbackPosition();
+  const times = pointTimes(playbackOpts());
+  const target = direction > 0
+    ? times.find(time => time > position + 0.5)
+    : times.findLast(time => time < position - PREVIOUS_POINT_GRACE_SECONDS);
+  if (target !== undefined) seekTo(target);
+  else if (direction < 0) seekTo(0);
 }
 
-// --- Preset Management ---
-function savePresets() {
-  localStorage.setItem('brainwavePresets', JSON.stringify(presets));
+// Nudges playback, staying within the schedule unless it is already past the end
+function seekBy(seconds) {
+  const position = playbackPosition();
+  const end = Math.max(getTotalDuration(playbackOpts()), position);
+  seekTo(Math.min(end, position + seconds));
 }
 
-function saveActivePresetIndex() {
-  localStorage.setItem('brainwaveActivePresetIndex', activePresetIndex);
+function updateSeekBar() {
+  const position = scrubTo ?? playbackPosition();
+  const duration = Math.max(getTotalDuration(playbackOpts()), position);
+  seekBar.max = Math.max(1, Math.ceil(duration));
+  seekBar.value = position;
+  seekLabel.textContent = `${formatClock(position)} / ${formatClock(duration)}`;
 }
 
-function loadPresetsAndState() {
-  const initialDefaultPresets = [
-      { ...defaultPreset, name: 'Preset 1', description: 'A standard default preset.' },
-      { ...defaultPreset, name: 'Preset 2', description: 'From 10Hz down to 5Hz over 30 minutes.', startBeatHz: 10, stages: [{ beat: 5, hours: 0, minutes: 30 }] },
-      { ...defaultPreset, name: 'Preset 3', description: 'From 4Hz up to 8Hz over 45 minutes.', startBeatHz: 4, stages: [{ beat: 8, hours: 0, minutes: 45 }] },
-      { ...defaultPreset, name: 'Preset 4', description: 'Low carrier, short session.', carrierHz: 200, startBeatHz: 6, totalPoints: 2, stages: [{ beat: 12, hours: 0, minutes: 20 }] },
-      { ...defaultPreset, name: 'Preset 5', description: 'High carrier, multi-stage session.', carrierHz: 600, startBeatHz: 8, totalPoints: 3, stages: [{ beat: 4, hours: 0, minutes: 15 }, { beat: 10, hours: 0, minutes: 15 }] },
-    ];
+// --- Visualizer ---
+// Shows what the engine actually emits, read from the analysers on its output,
+// and measures the beat from it: the repetition rate of the amplitude
+// envelope for isochronic pulses and monaural beating, the distance between
+// the left and right carrier peaks for binaural beats.
+const ENVELOPE_RATE = 500; // Envelope samples per second
+const ENVELOPE_HISTORY_SECONDS = 8;
+const BEAT_MEASURE_INTERVAL_MS = 500;
+const SCOPE_SAMPLES = 2048;
+
+const viz = {
+  analyser: null, // analyserL of the graph being followed; a new graph starts over
+  lastTime: 0,
+  pending: 0, // Samples received towards the next envelope block
+  envelope: [],
+  measuredAt: 0,
+  measured: null,
+  peaks: null,
+  idle: false,
+  left: new Float32Array(ANALYSER_FFT_SIZE),
+  right: new Float32Array(ANALYSER_FFT_SIZE),
+  spectrum: new Float32Array(ANALYSER_FFT_SIZE / 2),
+};
 
-  const storedPresets = localStorage.getItem('brainwavePresets');
-  if (storedPresets) {
-    presets = JSON.parse(storedPresets);
-    // Add any new default presets that might have been added in a new version
-    if (presets.length < initialDefaultPresets.length) {
-      for (let i = presets.length; i < initialDefaultPresets.length; i++) {
-        presets.push(initialDefaultPresets[i]);
-      }
-      savePresets(); // Save the updated presets to localStorage
-    }
-    // Ensure all loaded presets have a description and beatMode field
-    presets.forEach(p => {
-        if (p.description === undefined) {
-            p.description = '';
-        }
-        if (p.beatMode === undefined) {
-            p.beatMode = 'isochronic';
-        }
-        if (p.volume === undefined) {
-            p.volume = 1.0;
-        }
-    });
-  } else {
-    presets = initialDefaultPresets;
-    savePresets();
+// Appends the envelope (RMS over both channels) of the samples that arrived
+// since the last frame. A gap longer than the analyser buffer, such as a
+// hidden tab, restarts the history.
+function readEnvelope(ctx, nodes) {
+  const { analyserL, analyserR } = nodes;
+  analyserL.getFloatTimeDomainData(viz.left);
+  analyserR.getFloatTimeDomainData(viz.right);
+  const now = ctx.currentTime;
+  if (viz.analyser !== analyserL) {
+    Object.assign(viz, { analyser: analyserL, lastTime: now, pending: 0, envelope: [], measured: null, peaks: null });
+    return;
   }
-
-  const storedActivePresetIndex = localStorage.getItem('brainwaveActivePresetIndex');
-  if (storedActivePresetIndex !== null && +storedActivePresetIndex < presets.length) {
-    activePresetIndex = +storedActivePresetIndex;
-  } else {
-    activePresetIndex = 0;
-    saveActivePresetIndex();
+  const block = Math.round(ctx.sampleRate / ENVELOPE_RATE);
+  viz.pending += Math.round((now - viz.lastTime) * ctx.sampleRate);
+  viz.lastTime = now;
+  if (viz.pending > ANALYSER_FFT_SIZE) {
+    Object.assign(viz, { pending: 0, envelope: [] });
+    return;
+  }
+  const blocks = Math.floor(viz.pending / block);
+  viz.pending -= blocks * block;
+  const end = ANALYSER_FFT_SIZE - viz.pending;
+  for (let b = blocks; b > 0; b--) {
+    let sum = 0;
+    for (let i = end - b * block; i < end - (b - 1) * block; i++) sum += viz.left[i] ** 2 + viz.right[i] ** 2;
+    viz.envelope.push(Math.sqrt(sum / (2 * block)));
   }
+  const excess = viz.envelope.length - ENVELOPE_HISTORY_SECONDS * ENVELOPE_RATE;
+  if (excess > 0) viz.envelope.splice(0, excess);
 }
 
-function openRenameModal(index) {
-  currentEditingPresetIndex = index;
-  const preset = presets[index];
-  presetNameInput.value = preset.name;
-  presetDescriptionInput.value = preset.description || '';
-  renamePresetModal.style.display = 'flex';
-  presetNameInput.focus();
+// Repetition rate of an envelope sampled at `rate`, from its autocorrelation:
+// the shortest lag whose correlation is close to the strongest one, so the
+// beat is not mistaken for a multiple of its period. Null if there is no
+// clear rhythm between 0.5 and 100 Hz.
+function envelopeRate(envelope, rate) {
+  const n = envelope.length;
+  if (n < rate) return null;
+  const mean = envelope.reduce((sum, v) => sum + v, 0) / n;
+  const x = envelope.map(v => v - mean);
+  const minLag = Math.ceil(rate / 100), maxLag = Math.min(Math.floor(rate / 0.5), n >> 1);
+  const r = new Float32Array(maxLag + 2);
+  for (let lag = 0; lag <= maxLag + 1; lag++) {
+    let sum = 0;
+    for (let i = 0; i + lag < n; i++) sum += x[i] * x[i + lag];
+    r[lag] = sum / n;
+  }
+  if (r[0] <= 1e-9) return null;
+  // Skip the central lobe: nearby lags always correlate with themselves
+  let first = minLag;
+  while (first <= maxLag && r[first] > 0) first++;
+  let best = 0;
+  for (let lag = first; lag <= maxLag; lag++) best = Math.max(best, r[lag]);
+  if (best < 0.3 * r[0]) return null;
+  for (let lag = first; lag <= maxLag; lag++) {
+    if (r[lag] < 0.9 * best || r[lag] < r[lag - 1] || r[lag] < r[lag + 1]) continue;
+    // Parabolic interpolation between lags
+    const denominator = r[lag - 1] - 2 * r[lag] + r[lag + 1];
+    const shift = denominator ? 0.5 * (r[lag - 1] - r[lag + 1]) / denominator : 0;
+    return rate / (lag + shift);
+  }
+  return null;
 }
 
-function closeRenameModal() {
-  renamePresetModal.style.display = 'none';
+// Frequency of the strongest component in an analyser's spectrum (in dB),
+// interpolated between bins
+function spectralPeakHz(spectrum, sampleRate) {
+  let peak = 1;
+  for (let i = 2; i < spectrum.length - 1; i++) if (spectrum[i] > spectrum[peak]) peak = i;
+  const [a, b, c] = [spectrum[peak - 1], spectrum[peak], spectrum[peak + 1]];
+  const denominator = a - 2 * b + c;
+  const shift = denominator ? 0.5 * (a - c) / denominator : 0;
+  return (peak + shift) * sampleRate / ANALYSER_FFT_SIZE;
 }
 
-function handleRenamePreset(event) {
-  event.preventDefault();
-  const newName = presetNameInput.value;
-  if (newName && newName.trim() !== '') {
-    const preset = presets[currentEditingPresetIndex];
-    preset.name = newName.trim();
-    preset.description = presetDescriptionInput.value.trim();
-    savePresets();
-    renderPresetButtons();
-    updateUIFromPreset(presets[activePresetIndex]); // Update description display
-    closeRenameModal();
+function measureBeat(ctx, nodes, beatMode) {
+  if (beatMode !== 'binaural') {
+    viz.measured = envelopeRate(viz.envelope, ENVELOPE_RATE);
+    viz.peaks = null;
+    return;
   }
+  nodes.analyserL.getFloatFrequencyData(viz.spectrum);
+  const left = spectralPeakHz(viz.spectrum, ctx.sampleRate);
+  nodes.analyserR.getFloatFrequencyData(viz.spectrum);
+  const right = spectralPeakHz(viz.spectrum, ctx.sampleRate);
+  viz.peaks = { left, right };
+  viz.measured = Math.abs(right - left);
 }
 
-function renderPresetButtons() {
-  presetsContainer.innerHTML = ''; // Clear existing buttons
-  presets.forEach((preset, index) => {
-    const button = document.createElement('button');
-    button.classList.add('preset-btn');
-    if (index === activePresetIndex) {
-      button.classList.add('active');
-    }
-    button.textContent = preset.name;
-    button.title = "Double-click or long-press to rename and edit description.";
+function prepareCanvas(canvas) {
+  const ctx = canvas.getContext('2d');
+  const W = canvas.clientWidth, H = canvas.clientHeight;
+  const dpr = devicePixelRatio || 1;
+  canvas.width = Math.max(1, Math.floor(W * dpr));
+  canvas.height = Math.max(1, Math.floor(H * dpr));
+  ctx.setTransform(dpr,0,0,dpr,0,0);
+  ctx.clearRect(0,0,W,H);
+  return { ctx, W, H };
+}
 
-    let pressTimer = null;
-    let longPress = false;
+// Start of the first rising zero crossing among recent samples, so the scope
+// trace holds still
+function scopeTrigger(samples) {
+  for (let i = samples.length - 2 * SCOPE_SAMPLES + 1; i < samples.length - SCOPE_SAMPLES; i++) {
+    if (samples[i - 1] < 0 && samples[i] >= 0) return i;
+  }
+  return samples.length - SCOPE_SAMPLES;
+}
 
-    button.addEventListener('mousedown', (e) => {
-      longPress = false;
-      pressTimer = setTimeout(() => {
-        longPress = true;
-        openRenameModal(index);
-      }, 750);
-    });
+function traceSamples(ctx, samples, start, W, top, height, color) {
+  ctx.strokeStyle = color; ctx.lineWidth = 1.5;
+  ctx.beginPath();
+  for (let px = 0; px <= W; px++) {
+    const v = samples[start + Math.floor((px / W) * (SCOPE_SAMPLES - 1))];
+    const y = top + height / 2 - v * (height / 2 - 2);
+    if (px === 0) ctx.moveTo(px, y); else ctx.lineTo(px, y);
+  }
+  ctx.stroke();
+}
 
-    button.addEventListener('mouseup', () => {
-      clearTimeout(pressTimer);
+function drawVisualizerView(canvas, view, nodes, sampleRate) {
+  const { ctx, W, H } = prepareCanvas(canvas);
+  ctx.globalAlpha = .2; ctx.strokeStyle = '#94a3b8';
+  ctx.beginPath(); ctx.moveTo(0, H / 2); ctx.lineTo(W, H / 2); ctx.stroke();
+  ctx.globalAlpha = 1;
+  ctx.fillStyle = '#94a3b8'; ctx.font = '11px system-ui'; ctx.textBaseline = 'top';
+
+  if (view === 'waveform') {
+    const recent = ANALYSER_FFT_SIZE - 2 * SCOPE_SAMPLES;
+    const mono = viz.left.subarray(recent).map((v, i) => (v + viz.right[recent + i]) / 2);
+    traceSamples(ctx, mono, scopeTrigger(mono), W, 0, H, '#60a5fa');
+    ctx.fillText(`${(SCOPE_SAMPLES / sampleRate * 1000).toFixed(0)} ms`, 6, 4);
+  } else if (view === 'channels') {
+    const start = scopeTrigger(viz.left);
+    traceSamples(ctx, viz.left, start, W, 0, H / 2, '#60a5fa');
+    traceSamples(ctx, viz.right, start, W, H / 2, H / 2, '#f472b6');
+    ctx.fillText('L', 6, 4);
+    ctx.fillText('R', 6, H / 2 + 4);
+  } else if (view === 'spectrum') {
+    // Log frequency axis from 20 Hz to Nyquist, -120 to 0 dB
+    const minHz = 20, maxHz = sampleRate / 2;
+    const hzAt = px => minHz * (maxHz / minHz) ** (px / W);
+    const binHz = sampleRate / ANALYSER_FFT_SIZE;
+    const channels = [[nodes.analyserL, '#60a5fa'], [nodes.analyserR, '#f472b6']];
+    for (const [analyser, color] of channels) {
+      analyser.getFloatFrequencyData(viz.spectrum);
+      ctx.strokeStyle = color; ctx.lineWidth = 1.5;
+      ctx.beginPath();
+      for (let px = 0; px < W; px++) {
+        const from = Math.floor(hzAt(px) / binHz), to = Math.max(from + 1, Math.floor(hzAt(px + 1) / binHz));
+        let db = -Infinity;
+        for (let i = from; i < to && i < viz.spectrum.length; i++) db = Math.max(db, viz.spectrum[i]);
+        const y = H - Math.max(0, Math.min(1, (db + 120) / 120)) * H;
+        if (px === 0) ctx.moveTo(px, y); else ctx.lineTo(px, y);
+      }
+      ctx.stroke();
+    }
+    for (const hz of [100, 1000, 10000]) {
+      if (hz > maxHz) continue;
+      ctx.fillText(hz >= 1000 ? `${hz / 1000}k` : `${hz}`, W * Math.log(hz / minHz) / Math.log(maxHz / minHz) + 3, 4);
+    }
+  } else {
+    // Envelope history, scaled to its own peak
+    const envelope = viz.envelope;
+    const peak = Math.max(1e-6, ...envelope);
+    const length = ENVELOPE_HISTORY_SECONDS * ENVELOPE_RATE;
+    ctx.strokeStyle = '#34d399'; ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    envelope.forEach((v, i) => {
+      const x = W - ((envelope.length - i) / length) * W;
+      const y = H - 4 - (v / peak) * (H - 8);
+      if (i === 0) ctx.moveTo(x, y); else ctx.lineTo(x, y);
     });
+    ctx.stroke();
+    ctx.fillText(`${ENVELOPE_HISTORY_SECONDS} s`, 6, 4);
+  }
+}
 
-    button.addEventListener('mouseleave', () => {
-      clearTimeout(pressTimer);
-    });
+// Called every frame from loop()
+function updateVisualizer() {
+  const nodes = engine && engine.started ? engine.nodes : null;
+  if (!nodes?.analyserL) {
+    if (viz.idle) return;
+    viz.idle = true;
+    viz.analyser = null;
+    prepareCanvas(vizCanvas);
+    vizReadout.textContent = 'Not playing';
+    return;
+  }
+  viz.idle = false;
+  readEnvelope(engine.ctx, nodes);
+  if (Date.now() - viz.measuredAt > BEAT_MEASURE_INTERVAL_MS) {
+    viz.measuredAt = Date.now();
+    measureBeat(engine.ctx, nodes, engine.opts.beatMode);
+    const target = getBeatAt(engine.elapsed(), engine.opts);
+    const measured = viz.measured === null ? '–' : `${viz.measured.toFixed(2)} Hz`;
+    const peaks = viz.peaks ? ` (L ${viz.peaks.left.toFixed(1)} / R ${viz.peaks.right.toFixed(1)} Hz)` : '';
+    vizReadout.textContent = `Measured beat ${measured}${peaks} · target ${target.toFixed(2)} Hz`;
+  }
+  drawVisualizerView(vizCanvas, vizViewInput.value, nodes, engine.ctx.sampleRate);
+}
 
-    button.addEventListener('click', (e) => {
-      if (longPress) {
-        e.preventDefault();
-        return;
-      }
-      stopAllPlayback();
-      activePresetIndex = index;
-      saveActivePresetIndex();
-      updateUIFromPreset(presets[activePresetIndex]);
-      renderPresetButtons(); // Re-render to highlight active button
-      updatePreview();
+vizViewInput.value = localStorage.getItem('brainwaveVisualizerView') || 'waveform';
+vizViewInput.addEventListener('change', () => localStorage.setItem('brainwaveVisualizerView', vizViewInput.value));
+
+// --- Audio Export Logic ---
+let exportAbort = null;
+
+// Where an export is streamed to: a file chosen through the File System
+// Access API where available, otherwise a Blob assembled from parts that is
+// downloaded once complete. Throws an AbortError if the picker is dismissed.
+async function openExportSink(fileName, mimeType) {
+  if (window.showSaveFilePicker) {
+    const extension = fileName.slice(fileName.lastIndexOf('.'));
+    const handle = await window.showSaveFilePicker({
+      suggestedName: fileName,
+      types: [{ description: 'Audio file', accept: { [mimeType]: [extension] } }],
     });
+    const writable = await handle.createWritable();
+    return {
+      write: data => writable.write(data),
+      close: () => writable.close(),
+      abort: () => writable.abort(),
+    };
+  }
 
-    button.addEventListener('dblclick', () => openRenameModal(index));
+  const parts = [];
+  return {
+    write: async data => { parts.push(new Blob([data])); },
+    close: async () => downloadBlob(new Blob(parts, { type: mimeType }), fileName),
+    abort: async () => { parts.length = 0; },
+  };
+}
 
-    presetsContainer.appendChild(button);
-  });
+function showExportProgress(fraction) {
+  exportProgress.style.display = fraction === null ? 'none' : 'flex';
+  exportProgressBar.value = fraction ?? 0;
+  exportProgressLabel.textContent = `${Math.floor((fraction ?? 0) * 100)}%`;
 }
 
-// --- WAV Export Logic ---
-function bufferToWav(buffer) {
-  const numOfChan = buffer.numberOfChannels, length = buffer.length * numOfChan * 2 + 44;
-  const bufferWav = new ArrayBuffer(length);
-  const view = new DataView(bufferWav);
-  const channels = [];
-  let i, sample;
-  let offset = 0, pos = 0;
-
-  // Helper function
-  const setUint16 = (data) => {
-    view.setUint16(pos, data, true);
-    pos += 2;
-  }
-  const setUint32 = (data) => {
-    view.setUint32(pos, data, true);
-    pos += 4;
-  }
-
-  // Write WAVE header
-  setUint32(0x46464952); // "RIFF"
-  setUint32(length - 8); // file length - 8
-  setUint32(0x45564157); // "WAVE"
-
-  setUint32(0x20746d66); // "fmt " chunk
-  setUint32(16); // length = 16
-  setUint16(1); // PCM (uncompressed)
-  setUint16(numOfChan);
-  setUint32(buffer.sampleRate);
-  setUint32(buffer.sampleRate * 2 * numOfChan); // avg. bytes/sec
-  setUint16(numOfChan * 2); // block-align
-  setUint16(16); // 16-bit
-
-  setUint32(0x61746164); // "data" - chunk
-  setUint32(length - pos - 4); // chunk length
-
-  // Write PCM samples
-  for (i = 0; i < buffer.numberOfChannels; i++)
-    channels.push(buffer.getChannelData(i));
-
-  while (pos < length) {
-    for (i = 0; i < numOfChan; i++) {
-      sample = Math.max(-1, Math.min(1, channels[i][offset])); // clamp
-      sample = (0.5 + sample < 0 ? sample * 32768 : sample * 32767) | 0; // scale to 16-bit signed int
-      view.setInt16(pos, sample, true);
-      pos += 2;
-    }
-    offset++
+// Renders the session and streams it through the chosen encoder to the
+// output as it is produced (see PresetExport, which bin/bws.js uses too)
+async function exportAudio() {
+  const preset = presets[activePresetIndex];
+  const opts = getExportOpts(preset);
+  if (getTotalDuration(opts) <= 0) {
+    alert("Cannot save a session with 0 seconds duration.");
+    return;
   }
 
-  return bufferWav;
-}
+  const sampleRate = opts.exportSampleRate;
+  let ambient = null;
+  if (opts.ambient) {
+    try {
+      ambient = await decodeAmbientFile(opts.ambient.id, sampleRate);
+    } catch (e) {
+      console.error('Could not decode the ambient sound', e);
+    }
+    if (!ambient && !confirm('The ambient sound could not be loaded. Export without it?')) return;
+  }
+  const presetExport = new PresetExport(preset, {
+    ambient: ambient && Array.from({ length: ambient.numberOfChannels }, (_, c) => ambient.getChannelData(c)),
+  });
+  if (!(await presetExport.supported())) {
+    alert(`This browser cannot encode Opus at ${sampleRate / 1000} kHz. Choose another format or sample rate.`);
+    return;
+  }
 
-async function exportToWav() {
-  const opts = getOpts();
-  const totalDuration = getTotalDuration(opts);
-  if (totalDuration <= 0) {
-    alert("Cannot save a session with 0 seconds duration.");
+  let sink;
+  try {
+    sink = await openExportSink(presetExport.fileName, presetExport.format.mimeType);
+  } catch (e) {
+    if (e.name !== 'AbortError') alert('Could not open the file for writing: ' + e.message);
     return;
   }
 
   const originalBtnText = q('saveBtn').textContent;
   q('saveBtn').textContent = 'Generating...';
   q('saveBtn').disabled = true;
+  exportAbort = new AbortController();
+  const { signal } = exportAbort;
+  showExportProgress(0);
 
   try {
-    const sampleRate = opts.exportSampleRate;
-    const isBinaural = opts.beatMode === 'binaural';
-    const numChannels = isBinaural ? 2 : 1;
-    const offlineCtx = new (window.OfflineAudioContext || window.webkitOfflineAudioContext)(numChannels, totalDuration * sampleRate, sampleRate);
-
-    if (isBinaural) {
-      // --- Binaural WAV Export ---
-      const outGain = offlineCtx.createGain(); // Use a gain node for master control
-      outGain.connect(offlineCtx.destination);
-      
-      const oscL = offlineCtx.createOscillator();
-      oscL.type = 'sine';
-      oscL.frequency.value = opts.carrierHz;
-      const pannerL = offlineCtx.createStereoPanner();
-      pannerL.pan.value = -1;
-      oscL.connect(pannerL).connect(outGain);
-
-      const oscR = offlineCtx.createOscillator();
-      oscR.type = 'sine';
-      const pannerR = offlineCtx.createStereoPanner();
-      pannerR.pan.value = 1;
-      oscR.connect(pannerR).connect(outGain);
-
-      oscL.start(0);
-      oscR.start(0);
-
-      // Schedule frequency changes for the right oscillator
-      let currentTime = 0;
-      const timeStep = 0.1; // Update frequency every 100ms
-      while (currentTime < totalDuration) {
-          const beatHz = getBeatAt(currentTime, opts);
-          const newFreq = opts.carrierHz + beatHz;
-          oscR.frequency.setValueAtTime(newFreq, currentTime);
-          currentTime += timeStep;
-      }
-      // Ensure the last frequency is held
-      const lastBeat = getBeatAt(totalDuration, opts);
-      oscR.frequency.setValueAtTime(opts.carrierHz + lastBeat, totalDuration);
-
-    } else {
-      // --- Isochronic WAV Export (Original) ---
-      const carrier = offlineCtx.createOscillator();
-      carrier.type = 'sine';
-      carrier.frequency.value = opts.carrierHz;
-      const pulseGain = offlineCtx.createGain();
-      pulseGain.gain.value = 0;
-      carrier.connect(pulseGain).connect(offlineCtx.destination);
-      carrier.start();
-
-      let currentTime = 0;
-      while (currentTime < totalDuration) {
-        const beatHz = getBeatAt(currentTime, opts);
-        if (beatHz <= 0) { currentTime += 0.1; continue; }
-        const period = 1 / beatHz;
-        const pulseDuration = period / 2;
-        const peakTime = currentTime + pulseDuration / 2;
-        const endTime = currentTime + pulseDuration;
-        if (endTime > totalDuration) break;
-        pulseGain.gain.setValueAtTime(0, currentTime);
-        pulseGain.gain.linearRampToValueAtTime(1, peakTime);
-        pulseGain.gain.linearRampToValueAtTime(0, endTime);
-        currentTime += period;
-      }
-    }
-
-    const renderedBuffer = await offlineCtx.startRendering();
-    const wavData = bufferToWav(renderedBuffer);
-    const blob = new Blob([wavData], { type: 'audio/wav' });
-    const anchor = document.createElement('a');
-    anchor.href = URL.createObjectURL(blob);
-    
-    const presetName = presets[activePresetIndex].name.replace(/[^a-z0-9]/gi, '_').toLowerCase();
-    anchor.download = `bws_${presetName}_${opts.beatMode}.wav`;
-
-    anchor.click();
-    URL.revokeObjectURL(anchor.href);
-    // No alert, as the download starts automatically. The user will see it in their browser.
-
+    await presetExport.run(data => sink.write(data), async fraction => {
+      showExportProgress(fraction);
+      await new Promise(resolve => setTimeout(resolve)); // Let the UI repaint and take a cancel click
+      if (signal.aborted) throw new DOMException('Export cancelled', 'AbortError');
+    });
+    await sink.close();
   } catch (e) {
-    console.error('Error saving WAV:', e);
-    alert('An error occurred while generating the audio file: ' + e.message);
+    try { await sink.abort(); } catch {} // Ignore errors
+    if (e.name !== 'AbortError') {
+      console.error('Error saving audio:', e);
+      alert('An error occurred while generating the audio file: ' + e.message);
+    }
   } finally {
+    exportAbort = null;
+    showExportProgress(null);
     q('saveBtn').textContent = originalBtnText;
     q('saveBtn').disabled = false;
   }
@@ -825,122 +2781,254 @@ async function exportToWav() {
 
 // --- Main App Logic ---
 function updateUIFromPreset(preset) {
-  q('carrier').value = preset.carrierHz;
-  q('startBeat').value = preset.startBeatHz;
+  renderLayerTabs();
+  const layer = editedLayer();
+  q('carrier').value = layer.carrierHz;
+  q('startBeat').value = layer.startBeatHz;
+  layerGainInput.value = Math.round((layer.gain ?? 0.5) * 100);
   q('endAction').value = preset.endAction;
   q('exportSampleRate').value = preset.exportSampleRate;
+  exportFormatInput.value = preset.exportFormat in EXPORT_FORMATS ? preset.exportFormat : 'wav16';
   q('mute').checked = preset.muted;
-  beatModeInput.value = preset.beatMode || 'isochronic'; // Set beat mode
+  beatModeInput.value = layer.beatMode || 'isochronic'; // Set beat mode
   volumeInput.value = preset.volume ?? 1.0;
   volumeLabel.textContent = `${Math.round((preset.volume ?? 1.0) * 100)}%`;
   presetDescription.textContent = preset.description || '';
-
-  totalPointsInput.value = preset.totalPoints;
-  singlePointHoursInput.value = preset.singlePointHours;
-  singlePointMinutesInput.value = preset.singlePointMinutes;
-
-  updateTotalPointsUI(); // This will handle showing/hiding pointEditor and setting editPointSelector.max
-
-  // Load the currently selected point in the editor, or default to point 2
-  const currentEditorPoint = +editPointSelector.value;
-  if (currentEditorPoint > preset.totalPoints) {
-      editPointSelector.value = preset.totalPoints;
-      loadPoint(preset.totalPoints);
-  } else {
-      loadPoint(currentEditorPoint);
-  }
+  startLevelInput.value = Math.round((preset.startLevel ?? 1.0) * 100);
+  fadeInInput.value = preset.fadeInSec || 0;
+  fadeOutInput.value = preset.fadeOutSec || 0;
+  noiseTypeInput.value = preset.noiseType || 'off';
+  noiseLevelInput.value = Math.round((preset.noiseLevel ?? 0.3) * 100);
+  pulseShapeInput.value = preset.pulseShape || 'triangle';
+  pulseDutyInput.value = Math.round((preset.pulseDuty ?? 0.5) * 100);
+  pulseDepthInput.value = Math.round((preset.pulseDepth ?? 1.0) * 100);
+  pulseAttackInput.value = preset.pulseAttackMs ?? 5;
+  pulseReleaseInput.value = preset.pulseReleaseMs ?? 5;
+  panPatternInput.value = preset.panPattern || 'off';
+  panSweepInput.value = preset.panSweepHz ?? 0.5;
+  wakeUpBeatInput.value = preset.wakeUpBeatHz ?? '';
+  wakeUpMinutesInput.value = preset.wakeUpMinutes ?? 10;
+  ambientLevelInput.value = Math.round((preset.ambientLevel ?? 0.5) * 100);
+  ambientLoopInput.checked = preset.ambientLoop ?? true;
+  ambientCrossfadeInput.value = preset.ambientCrossfadeSec ?? 2;
+  updatePulseSettingsUI();
+  updateAmbientUI();
+
+  renderStageTable();
 }
 
 function updateActivePresetFromUI() {
   const currentPreset = presets[activePresetIndex];
+  const layer = editedLayer();
 
-  currentPreset.carrierHz = +q('carrier').value;
-  currentPreset.startBeatHz = +q('startBeat').value;
+  layer.carrierHz = +q('carrier').value;
+  layer.startBeatHz = +q('startBeat').value;
+  layer.beatMode = beatModeInput.value; // Get beat mode
+  if (layer !== currentPreset) layer.gain = Math.min(1, Math.max(0, +layerGainInput.value / 100));
   currentPreset.endAction = q('endAction').value;
   currentPreset.exportSampleRate = +q('exportSampleRate').value;
+  currentPreset.exportFormat = exportFormatInput.value;
   currentPreset.muted = q('mute').checked;
-  currentPreset.beatMode = beatModeInput.value; // Get beat mode
   currentPreset.volume = +volumeInput.value;
+  currentPreset.startLevel = +startLevelInput.value / 100;
+  currentPreset.fadeInSec = +fadeInInput.value;
+  currentPreset.fadeOutSec = +fadeOutInput.value;
+  currentPreset.noiseType = noiseTypeInput.value;
+  currentPreset.noiseLevel = +noiseLevelInput.value / 100;
+  currentPreset.pulseShape = pulseShapeInput.value;
+  currentPreset.pulseDuty = Math.min(0.95, Math.max(0.05, +pulseDutyInput.value / 100));
+  currentPreset.pulseDepth = Math.min(1, Math.max(0, +pulseDepthInput.value / 100));
+  currentPreset.pulseAttackMs = +pulseAttackInput.value;
+  currentPreset.pulseReleaseMs = +pulseReleaseInput.value;
+  currentPreset.panPattern = panPatternInput.value;
+  currentPreset.panSweepHz = Math.min(20, Math.max(0.01, +panSweepInput.value || 0.5));
+  currentPreset.wakeUpBeatHz = wakeUpBeatInput.value === '' ? null : Math.min(1000, Math.max(0.1, +wakeUpBeatInput.value));
+  currentPreset.wakeUpMinutes = Math.min(600, Math.max(1, +wakeUpMinutesInput.value || 10));
+  currentPreset.ambientLevel = Math.min(1, Math.max(0, +ambientLevelInput.value / 100));
+  currentPreset.ambientLoop = ambientLoopInput.checked;
+  currentPreset.ambientCrossfadeSec = Math.min(30, Math.max(0, +ambientCrossfadeInput.value));
 
-  currentPreset.totalPoints = +totalPointsInput.value;
-  currentPreset.singlePointHours = +singlePointHoursInput.value;
-  currentPreset.singlePointMinutes = +singlePointMinutesInput.value;
-
-  // Adjust stages array length if totalPoints changed
-  const newStagesLength = currentPreset.totalPoints - 1;
-  if (newStagesLength > currentPreset.stages.length) {
-      for (let i = currentPreset.stages.length; i < newStagesLength; i++) {
-          currentPreset.stages.push({ beat: 4, hours: 0, minutes: 30 }); // Default new stage
-      }
-  } else if (newStagesLength < currentPreset.stages.length) {
-      currentPreset.stages.splice(newStagesLength);
-  }
   savePresets();
 }
 
-const getOpts = () => {
-  const currentPreset = presets[activePresetIndex];
-  const stages = [];
-
-  if (currentPreset.totalPoints > 1) {
-    for (let i = 0; i < currentPreset.stages.length; i++) {
-      const point = currentPreset.stages[i];
-      const duration = (point.hours * 3600) + (point.minutes * 60);
-      stages.push({ beat: point.beat, duration });
-    }
-  } else { // totalPoints is 1
-    const duration = (currentPreset.singlePointHours * 3600) + (currentPreset.singlePointMinutes * 60);
-    if (duration > 0) {
-      stages.push({ beat: currentPreset.startBeatHz, duration });
-    }
-  }
-
-  return {
-    carrierHz: currentPreset.carrierHz,
-    startBeatHz: currentPreset.startBeatHz,
-    stages,
-    muted: currentPreset.muted,
-    volume: currentPreset.volume ?? 1.0,
-    endAction: currentPreset.endAction,
-    exportSampleRate: currentPreset.exportSampleRate,
-    beatMode: currentPreset.beatMode || 'isochronic',
-  };
-};
+const getOpts = () => presetToOpts(presets[activePresetIndex]);
 
 function updatePreview() {
-    if (engine && engine.started) return;
+    if (engine && engine.started) {
+      applyLiveChanges();
+      return;
+    }
     const opts = getOpts();
-    drawSchedule(sched, opts, 0);
+    scheduleLayout = drawSchedule(sched, opts, pausedTime, {
+      ...pointDrag?.view,
+      highlight: hoveredPoint,
+      tooltip: hoveredPoint >= 0 && scheduleLayout ? describePoint(hoveredPoint) : null,
+      scrubTo,
+      editLayer: editingLayer,
+    });
     readout.textContent = `Running: no
-Elapsed: 0.0 min
-Beat now: ${opts.startBeatHz.toFixed(2)} Hz`;
+Elapsed: ${(pausedTime/60).toFixed(1)} min
+Beat now: ${getBeatAt(pausedTime, opts).toFixed(2)} Hz
+Carrier now: ${getCarrierAt(pausedTime, opts).toFixed(1)} Hz`;
+    updateSeekBar();
 }
 
 // --- Event Listeners ---
-[q('carrier'), q('startBeat'), endActionInput, exportSampleRateInput, q('mute'), singlePointHoursInput, singlePointMinutesInput, beatModeInput].forEach(input => {
+[q('carrier'), q('startBeat'), endActionInput, exportSampleRateInput, exportFormatInput, q('mute'), beatModeInput, startLevelInput, fadeInInput, fadeOutInput, noiseTypeInput, noiseLevelInput, pulseShapeInput, pulseDutyInput, pulseDepthInput, pulseAttackInput, pulseReleaseInput, panPatternInput, panSweepInput, wakeUpBeatInput, wakeUpMinutesInput, ambientLevelInput, ambientLoopInput, ambientCrossfadeInput, layerGainInput].forEach(input => {
     input.addEventListener('change', () => {
         updateActivePresetFromUI();
+        updatePulseSettingsUI();
         updatePreview();
     });
 });
-[pointBeatInput, pointHoursInput, pointMinutesInput].forEach(input => {
+[pointCarrierInput, pointLevelInput, pointNoiseLevelInput].forEach(input => {
   input.addEventListener('input', () => {
     savePoint(currentEditingPoint); // savePoint already calls savePresets()
     updatePreview();
   });
 });
-totalPointsInput.addEventListener('input', () => {
-    updateActivePresetFromUI(); // Update preset data first
-    updateTotalPointsUI(); // Then update UI based on new total points
+
+const stageRowNumber = row => [...stageTableBody.rows].indexOf(row) + 2;
+stageTableBody.addEventListener('input', e => {
+    savePoint(stageRowNumber(e.target.closest('tr')));
     updatePreview();
 });
+stageTableBody.addEventListener('focusin', e => {
+    const pointNumber = stageRowNumber(e.target.closest('tr'));
+    if (pointNumber !== currentEditingPoint) loadPoint(pointNumber);
+});
+stageTableBody.addEventListener('click', e => {
+    const row = e.target.closest('tr');
+    const action = e.target.closest('button')?.dataset.action;
+    if (action) handleStageAction(action, stageRowNumber(row) - 2);
+    else if (row && stageRowNumber(row) !== currentEditingPoint) loadPoint(stageRowNumber(row));
+});
+stageTableBody.addEventListener('pointerdown', e => {
+    const handle = e.target.closest('.drag-handle');
+    if (handle) startStageReorder(e, handle);
+});
+q('addLayerBtn').addEventListener('click', addLayer);
+removeLayerBtn.addEventListener('click', removeLayer);
+q('addStageBtn').addEventListener('click', () => {
+    const stages = editedLayer().stages;
+    stages.push(newStage(stages.at(-1)?.beat ?? editedLayer().startBeatHz));
+    applyStageChange(stages.length + 1);
+});
+
+const SCHEDULE_HINT = sched.title;
+const canEditSchedule = () => !(engine && engine.started) && scheduleLayout;
+let canvasScrubbing = false;
 
-editPointSelector.addEventListener('change', () => {
-    loadPoint(+editPointSelector.value);
-    updatePreview(); // Redraw graph to reflect potential point changes
+// While playing, the canvas is a timeline: pressing or dragging previews a
+// position and releasing seeks there
+const scrubTimeAt = x => Math.min(scheduleLayout.totalDuration, Math.max(0, scheduleLayout.xToTime(x)));
+
+sched.addEventListener('pointerdown', e => {
+    if (e.button === 0 && engine && engine.started && scheduleLayout) {
+        canvasScrubbing = true;
+        scrubTo = scrubTimeAt(e.offsetX);
+        sched.setPointerCapture(e.pointerId);
+        return;
+    }
+    if (e.button !== 0 || !canEditSchedule()) return;
+    const index = findPointAt(e.offsetX, e.offsetY);
+    if (index < 0) return;
+    if (e.altKey) {
+        deleteSchedulePoint(index);
+        hoveredPoint = -1;
+        updatePreview();
+        return;
+    }
+    // Pin the scale so the point stays under the pointer while dragging
+    const { totalDuration, yMin, yMax } = scheduleLayout;
+    pointDrag = { index, view: { totalDuration, yMin, yMax } };
+    sched.setPointerCapture(e.pointerId);
+    sched.style.cursor = 'grabbing';
+});
+sched.addEventListener('pointermove', e => {
+    if (canvasScrubbing) {
+        scrubTo = scrubTimeAt(e.offsetX);
+        return;
+    }
+    if (!canEditSchedule()) return;
+    if (pointDrag) {
+        moveSchedulePoint(pointDrag.index, e.offsetX, e.offsetY, e.shiftKey);
+        updatePreview();
+        return;
+    }
+    const index = findPointAt(e.offsetX, e.offsetY);
+    sched.style.cursor = index >= 0 ? 'grab' : 'crosshair';
+    sched.title = index >= 0 ? '' : SCHEDULE_HINT;
+    if (index !== hoveredPoint) {
+        hoveredPoint = index;
+        updatePreview();
+    }
+});
+sched.addEventListener('pointerup', () => {
+    if (canvasScrubbing) {
+        canvasScrubbing = false;
+        const target = scrubTo;
+        scrubTo = null;
+        seekTo(target);
+        return;
+    }
+    if (!pointDrag) return;
+    pointDrag = null;
+    sched.style.cursor = 'grab';
+    updatePreview();
+});
+sched.addEventListener('pointercancel', () => {
+    if (!canvasScrubbing) return;
+    canvasScrubbing = false;
+    scrubTo = null;
+});
+sched.addEventListener('pointerleave', () => {
+    if (pointDrag || hoveredPoint < 0) return;
+    hoveredPoint = -1;
+    updatePreview();
+});
+sched.addEventListener('dblclick', e => {
+    if (!canEditSchedule() || findPointAt(e.offsetX, e.offsetY) >= 0) return;
+    insertSchedulePoint(e.offsetX, e.offsetY, e.shiftKey);
+    hoveredPoint = -1;
+    updatePreview();
+});
+sched.addEventListener('contextmenu', e => {
+    if (!canEditSchedule()) return;
+    const index = findPointAt(e.offsetX, e.offsetY);
+    if (index < 1) return;
+    e.preventDefault();
+    deleteSchedulePoint(index);
+    hoveredPoint = -1;
+    updatePreview();
 });
 
-q('saveBtn').addEventListener('click', exportToWav);
+seekBar.addEventListener('input', () => {
+    scrubTo = Number(seekBar.value);
+    if (!(engine && engine.started)) updatePreview();
+});
+seekBar.addEventListener('change', () => {
+    scrubTo = null;
+    seekTo(Number(seekBar.value));
+});
+q('prevPointBtn').addEventListener('click', () => skipToPoint(-1));
+q('nextPointBtn').addEventListener('click', () => skipToPoint(1));
+document.addEventListener('keydown', e => {
+    if (e.key !== 'ArrowLeft' && e.key !== 'ArrowRight') return;
+    // Arrow keys keep their usual meaning in form fields and with modifiers
+    if (e.ctrlKey || e.metaKey || e.altKey || e.target.matches?.('input, select, textarea')) return;
+    e.preventDefault();
+    seekBy(e.key === 'ArrowLeft' ? -SEEK_STEP_SECONDS : SEEK_STEP_SECONDS);
+});
+q('chooseAmbientBtn').addEventListener('click', () => q('ambientInput').click());
+q('ambientInput').addEventListener('change', e => {
+    const file = e.target.files[0];
+    e.target.value = ''; // Allow choosing the same file again
+    if (file) chooseAmbientFile(file);
+});
+q('removeAmbientBtn').addEventListener('click', removeAmbientFile);
+q('saveBtn').addEventListener('click', exportAudio);
+q('cancelExportBtn').addEventListener('click', () => exportAbort?.abort());
 
 q('mute').addEventListener('change', e => { if (engine) engine.setMute(e.target.checked); });
 
@@ -951,15 +3039,72 @@ volumeInput.addEventListener('input', () => {
     updateActivePresetFromUI();
 });
 
+q('managePresetsBtn').addEventListener('click', openPresetManager);
+q('reloadAppBtn').addEventListener('click', reloadIntoUpdate);
+q('dismissUpdateBtn').addEventListener('click', () => { updatePrompt.style.display = 'none'; });
+window.addEventListener('online', () => updateOfflineStatus());
+window.addEventListener('offline', () => updateOfflineStatus());
+q('sharePresetBtn').addEventListener('click', e => copyShareLink(e.currentTarget));
+q('newPresetBtn').addEventListener('click', () => {
+    createBlankPreset();
+    renderPresetManager();
+});
+[sleepTimerInput, sleepFadeInput].forEach(input => input.addEventListener('change', updateSleepTimerFromUI));
+alarmBtn.addEventListener('click', toggleScheduledStart);
+q('historyBtn').addEventListener('click', openHistory);
+q('exportHistoryBtn').addEventListener('click', async () => exportHistoryCsv(await getSessions()));
+q('closeHistoryBtn').addEventListener('click', () => { historyModal.style.display = 'none'; });
+q('sessionNoteForm').addEventListener('submit', saveSessionNote);
+q('skipSessionNoteBtn').addEventListener('click', () => { sessionNoteModal.style.display = 'none'; });
+// The context can be suspended in the background (iOS interruptions, for
+// instance); resume it when the page comes back
+document.addEventListener('visibilitychange', () => {
+    if (engine && engine.started && engine.ctx.state !== 'running') engine.ctx.resume().catch(() => {});
+});
+window.addEventListener('pagehide', () => {
+    if (engine && engine.started) checkpointSession(engine.elapsed());
+});
+undoBtn.addEventListener('click', undo);
+redoBtn.addEventListener('click', redo);
+document.addEventListener('keydown', e => {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+    // Leave text fields (preset name and description) to the browser's own undo
+    if (e.target.matches?.('input[type="text"], textarea')) return;
+    const key = e.key.toLowerCase();
+    if (key === 'z' || key === 'y') {
+        e.preventDefault();
+        if (key === 'y' || e.shiftKey) redo();
+        else undo();
+    }
+});
+q('restoreBuiltInPresetsBtn').addEventListener('click', restoreBuiltInPresets);
+q('closePresetManagerBtn').addEventListener('click', closePresetManager);
+q('exportPresetBtn').addEventListener('click', () => {
+    const preset = presets[activePresetIndex];
+    exportPresetsToFile([preset], `bws_preset_${preset.name.replace(/[^a-z0-9]/gi, '_').toLowerCase()}.json`);
+});
+q('exportAllPresetsBtn').addEventListener('click', () => exportPresetsToFile(presets, 'bws_presets.json'));
+q('importPresetsBtn').addEventListener('click', () => q('importPresetsInput').click());
+q('importPresetsInput').addEventListener('change', e => {
+    const file = e.target.files[0];
+    e.target.value = ''; // Allow importing the same file again
+    if (file) importPresetsFromFile(file);
+});
+
 renamePresetForm.addEventListener('submit', handleRenamePreset);
 cancelPresetNameBtn.addEventListener('click', closeRenameModal);
 
 function stopAllPlayback() {
+  finishSession(engine && engine.started ? engine.elapsed() : pausedTime);
   if (engine) {
     engine.stop();
     engine = null;
   }
   pausedTime = 0;
+  sleepTimer.stopAt = null;
+  sleepTimer.left = null;
+  stopKeepAlive();
+  updateMediaSession();
   togglePlaybackBtn.textContent = 'Start';
   togglePlaybackBtn.classList.remove('secondary');
   updatePreview();
@@ -986,6 +3131,71 @@ togglePlaybackBtn.addEventListener('mouseleave', () => {
 
 togglePlaybackBtn.addEventListener('dblclick', stopAllPlayback);
 
+function pausePlayback() {
+  pausedTime = engine.elapsed();
+  engine.stop();
+  endSessionSegment(pausedTime);
+  pauseSleepTimer(pausedTime);
+  stopKeepAlive();
+  updateMediaSession();
+  togglePlaybackBtn.textContent = 'Resume';
+  togglePlaybackBtn.classList.remove('secondary');
+}
+
+async function startPlayback() {
+  try {
+    if (engine) engine.stop();
+    const opts = getOpts();
+    const Engine = ENGINES[opts.beatMode] || BrainwaveIso;
+    if (!engine || engine.constructor !== Engine) {
+        engine?.close();
+        engine = new Engine(opts);
+    } else {
+        engine.update(opts); // Pick up edits made while paused
+    }
+    if (opts.ambient) await loadAmbient(opts.ambient.id);
+    await engine.ctx.resume();
+    engine.start(pausedTime);
+    beginSessionSegment(engine.opts, pausedTime);
+    resumeSleepTimer(pausedTime);
+    startKeepAlive();
+    updateMediaSession();
+    togglePlaybackBtn.textContent = 'Pause';
+    togglePlaybackBtn.classList.add('secondary');
+  } catch (e) {
+    console.error(e);
+    alert('Could not start: ' + e.message);
+    togglePlaybackBtn.textContent = 'Start';
+    togglePlaybackBtn.classList.remove('secondary');
+  }
+}
+
+// Options that shape the sound; volume and mute have their own controls
+const soundKey = ({ volume, muted, exportSampleRate, exportFormat, ...opts }) => JSON.stringify(opts);
+
+// Hands edits made during playback to the running engine. A new beatMode
+// crossfades to an engine of that kind at the same position.
+function applyLiveChanges() {
+  const opts = getOpts();
+  if (soundKey(opts) === soundKey(engine.opts)) return;
+  const position = engine.elapsed();
+  const Engine = ENGINES[opts.beatMode] || BrainwaveIso;
+  if (engine.constructor === Engine) {
+    engine.update(opts);
+  } else {
+    const previous = engine;
+    engine = new Engine({ ...opts, volume: previous.opts.volume, muted: previous.opts.muted });
+    engine.start(position, MODE_CROSSFADE_SECONDS);
+    previous.close(MODE_CROSSFADE_SECONDS);
+  }
+  switchSessionOpts(engine.opts, position);
+  updateMediaSession();
+  // An ambient file restored by undo may still need decoding
+  if (opts.ambient && !cachedAmbient(opts.ambient.id)) {
+    loadAmbient(opts.ambient.id).then(() => { if (engine && engine.started) engine.update(engine.opts); });
+  }
+}
+
 togglePlaybackBtn.addEventListener('click', async (e) => {
   if (isLongPress) {
     e.preventDefault();
@@ -993,47 +3203,39 @@ togglePlaybackBtn.addEventListener('click', async (e) => {
   }
 
   if (engine && engine.started) {
-    pausedTime = engine.elapsed();
-    engine.stop();
-    togglePlaybackBtn.textContent = 'Resume';
-    togglePlaybackBtn.classList.remove('secondary');
+    pausePlayback();
   } else {
-    try {
-      if (engine) engine.stop();
-      const opts = getOpts();
-      if (!engine || engine.constructor.name !== (opts.beatMode === 'binaural' ? 'BrainwaveBinaural' : 'BrainwaveIso')) {
-          if (opts.beatMode === 'binaural') {
-            engine = new BrainwaveBinaural(opts);
-          } else {
-            engine = new BrainwaveIso(opts);
-          }
-      }
-      await engine.ctx.resume();
-      engine.start(pausedTime);
-      togglePlaybackBtn.textContent = 'Pause';
-      togglePlaybackBtn.classList.add('secondary');
-    } catch (e) {
-      console.error(e);
-      alert('Could not start: ' + e.message);
-      togglePlaybackBtn.textContent = 'Start';
-      togglePlaybackBtn.classList.remove('secondary');
-    }
+    await startPlayback();
   }
 });
 
 function loop() {
   if (engine && engine.started) {
-    drawSchedule(sched, engine.opts, engine.elapsed());
+    scheduleLayout = drawSchedule(sched, engine.opts, engine.elapsed(), { scrubTo, editLayer: editingLayer });
     readout.textContent = `Running: yes
 Elapsed: ${(engine.elapsed()/60).toFixed(1)} min
-Beat now: ${getBeatAt(engine.elapsed(), engine.opts).toFixed(2)} Hz`;
+Beat now: ${getBeatAt(engine.elapsed(), engine.opts).toFixed(2)} Hz
+Carrier now: ${getCarrierAt(engine.elapsed(), engine.opts).toFixed(1)} Hz`;
+    updateSeekBar();
   }
+  updateVisualizer();
   requestAnimationFrame(loop);
 }
 
 // --- Initial Setup ---
+// Only offer Opus where the browser can encode it
+OggOpusEncoder.isSupported().then(supported => {
+  if (!supported) exportFormatInput.querySelector('option[value="opus"]')?.remove();
+});
 loadPresetsAndState(); // Load presets and active index
+pruneAmbientFiles();
+loadSleepTimer();
+setupMediaSession();
 updateUIFromPreset(presets[activePresetIndex]); // Populate UI with active preset
 renderPresetButtons(); // Render preset buttons
 updatePreview(); // Draw initial preview
-requestAnimationFrame(loop);
\ No newline at end of file
+handleLaunchParams(); // Shortcuts and shared links
+registerServiceWorker();
+updateOfflineStatus();
+requestAnimationFrame(loop);
+setInterval(tickTimers, 1000);
\ No newline at end of file
@@ -0,0 +1,93 @@
+#!/usr/bin/env node
+// bws: renders presets to audio files from the command line. It exports them
+// with synth.js's PresetExport, as the app's Save button does, so a preset
+// rendered here matches the app's export byte for byte.
+import { open, readFile, rm } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+import { EXPORT_FORMATS, PresetExport, parsePresetsFile } from '../synth.js';
+
+const USAGE = `Usage: bws render <presets.json> [options]
+
+Renders the presets in a file exported from the app's preset manager.
+
+Options:
+  -o, --output <file>   Output file (default: the app's file name for the preset)
+  -r, --rate <hz>       Sample rate (default: the preset's export sample rate)
+  -f, --format <name>   ${Object.keys(EXPORT_FORMATS).join(', ')} (default: the preset's export format)
+  -p, --preset <name>   Render only the preset with this name (default: all of them)
+  -q, --quiet           Do not report progress
+  -h, --help            Show this help`;
+
+// Encoders return ArrayBuffers, typed arrays or (Opus) Blobs
+async function toBytes(data) {
+  if (data instanceof Blob) return new Uint8Array(await data.arrayBuffer());
+  return ArrayBuffer.isView(data) ? new Uint8Array(data.buffer, data.byteOffset, data.byteLength) : new Uint8Array(data);
+}
+
+async function renderPreset(preset, { output, rate, format: formatName, quiet }) {
+  const sampleRate = rate === undefined ? undefined : Number(rate);
+  if (rate !== undefined && (!Number.isInteger(sampleRate) || sampleRate < 3000)) throw new Error(`"${rate}" is not a sample rate in Hz.`);
+  const presetExport = new PresetExport(preset, { sampleRate, formatName });
+  if (presetExport.duration <= 0) throw new Error(`The preset "${preset.name}" has no duration.`);
+  if (presetExport.opts.ambient) {
+    // Ambient files are kept in the browser's storage, not in the presets file
+    console.warn(`bws: "${preset.name}" uses an ambient sound, which is left out.`);
+  }
+  if (!(await presetExport.supported())) {
+    throw new Error('Opus encoding needs WebCodecs, which this runtime lacks. Choose another format.');
+  }
+  const fileName = output ?? presetExport.fileName;
+  const showProgress = !quiet && process.stderr.isTTY;
+
+  const file = await open(fileName, 'w');
+  try {
+    await presetExport.run(async data => { await file.write(await toBytes(data)); }, fraction => {
+      if (showProgress) process.stderr.write(`\r${preset.name}: ${Math.floor(fraction * 100)}%`);
+    });
+  } catch (e) {
+    await file.close();
+    await rm(fileName, { force: true });
+    throw e;
+  }
+  await file.close();
+  if (!quiet) process.stderr.write(`${showProgress ? '\r' : ''}${preset.name}: wrote ${fileName}\n`);
+}
+
+async function render(path, options) {
+  let presets = parsePresetsFile(await readFile(path, 'utf8'));
+  if (options.preset !== undefined) {
+    presets = presets.filter(p => p.name === options.preset);
+    if (presets.length === 0) throw new Error(`${path} has no preset named "${options.preset}".`);
+  }
+  if (options.output !== undefined && presets.length > 1) {
+    throw new Error(`${path} holds ${presets.length} presets; pick one with --preset to use --output.`);
+  }
+  for (const preset of presets) await renderPreset(preset, options);
+}
+
+async function main(args) {
+  const { values, positionals } = parseArgs({
+    args,
+    allowPositionals: true,
+    options: {
+      output: { type: 'string', short: 'o' },
+      rate: { type: 'string', short: 'r' },
+      format: { type: 'string', short: 'f' },
+      preset: { type: 'string', short: 'p' },
+      quiet: { type: 'boolean', short: 'q' },
+      help: { type: 'boolean', short: 'h' },
+    },
+  });
+  const [command, path, ...extra] = positionals;
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+  if (command !== 'render' || !path || extra.length > 0) throw new Error(`Expected "render" and one presets file.\n\n${USAGE}`);
+  await render(path, values);
+}
+
+main(process.argv.slice(2)).catch(e => {
+  console.error(`bws: ${e.message}`);
+  process.exitCode = 1;
+});
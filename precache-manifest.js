@@ -0,0 +1,50 @@
+// Generated by tools/precache.mjs; do not edit.
+self.PRECACHE_MANIFEST = {
+  "version": "488d0c661f5fc8b1",
+  "assets": [
+    {
+      "url": "./",
+      "revision": "2d5bec0278f79f1c"
+    },
+    {
+      "url": "./index.html",
+      "revision": "2d5bec0278f79f1c"
+    },
+    {
+      "url": "./app.js",
+      "revision": "1bed8c60bb856da4"
+    },
+    {
+      "url": "./synth.js",
+      "revision": "5d4bda71138c67fc"
+    },
+    {
+      "url": "./manifest.webmanifest",
+      "revision": "92d060cdb4bf50e9"
+    },
+    {
+      "url": "./icons/icon-24.png",
+      "revision": "09adf2aa06c2f435"
+    },
+    {
+      "url": "./icons/icon-192.png",
+      "revision": "3121b50db1727e9a"
+    },
+    {
+      "url": "./icons/icon-256.png",
+      "revision": "1eeb8688cc524dc0"
+    },
+    {
+      "url": "./icons/icon-512.png",
+      "revision": "75466e83d1e15372"
+    },
+    {
+      "url": "./images/screenshot1.png",
+      "revision": "15a965a6b76cea79"
+    },
+    {
+      "url": "./images/screenshot2.png",
+      "revision": "d55c22cbc910a79a"
+    }
+  ]
+};
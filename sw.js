@@ -1,21 +1,76 @@
-const CACHE = 'brainwave-sync-v7';
-const ASSETS = [
-  './',
-  './index.html',
-  './app.js',
-  './manifest.webmanifest',
-  './icons/icon-192.png',
-  './icons/icon-256.png',
-  './icons/icon-512.png'
-];
+// The app shell is precached from precache-manifest.js, which lists each file
+// with a hash of its contents (regenerate it with `node tools/precache.mjs`
+// after changing any of them). A changed hash changes this worker's imported
+// script, so the browser installs a new version; files whose hash is
+// unchanged are copied over from the old cache instead of downloaded again.
+// The new version waits until the page asks it to take over (the "New version
+// available" prompt), then claims the open tabs.
+importScripts('./precache-manifest.js');
+
+const { version, assets } = self.PRECACHE_MANIFEST;
+const PRECACHE_PREFIX = 'brainwave-sync-precache-';
+const PRECACHE = PRECACHE_PREFIX + version;
+// Runtime entries go with the version, so URLs the app stopped using do not linger
+const RUNTIME_PREFIX = 'brainwave-sync-runtime-';
+const RUNTIME = RUNTIME_PREFIX + version;
+// Absolute URL -> revision
+const PRECACHED = new Map(assets.map(({ url, revision }) => [new URL(url, self.registration.scope).href, revision]));
+
+// Cache key of a precached file; the revision keeps versions apart
+const precacheKey = (url, revision) => `${url}${url.includes('?') ? '&' : '?'}__revision=${revision}`;
+
+async function precacheAsset(cache, url, revision) {
+  const key = precacheKey(url, revision);
+  const cached = await caches.match(key);
+  if (cached) return cache.put(key, cached);
+  const response = await fetch(url, { cache: 'reload' });
+  if (!response.ok) throw new Error(`Precaching ${url} failed with status ${response.status}`);
+  return cache.put(key, response);
+}
+
 self.addEventListener('install', event => {
-  event.waitUntil(caches.open(CACHE).then(c => c.addAll(ASSETS)));
+  event.waitUntil(caches.open(PRECACHE).then(cache =>
+    Promise.all([...PRECACHED].map(([url, revision]) => precacheAsset(cache, url, revision)))));
 });
+
 self.addEventListener('activate', event => {
-  event.waitUntil(
-    caches.keys().then(keys => Promise.all(keys.filter(k => k !== CACHE).map(k => caches.delete(k))))
-  );
+  event.waitUntil((async () => {
+    const keys = await caches.keys();
+    const old = keys.filter(k => (k.startsWith(PRECACHE_PREFIX) && k !== PRECACHE) || (k.startsWith(RUNTIME_PREFIX) && k !== RUNTIME));
+    // The unversioned runtime cache of earlier releases too
+    await Promise.all([...old, 'brainwave-sync-runtime'].map(k => caches.delete(k)));
+    await self.clients.claim();
+  })());
 });
+
+self.addEventListener('message', event => {
+  if (event.data?.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
+// Serves the cached copy at once and refreshes the cache in the background
+async function staleWhileRevalidate(event) {
+  const cache = await caches.open(RUNTIME);
+  const cached = await cache.match(event.request);
+  const network = fetch(event.request).then(response => {
+    if (response.ok) cache.put(event.request, response.clone());
+    return response;
+  });
+  if (!cached) return network;
+  event.waitUntil(network.catch(() => {})); // Offline: the cached copy will do
+  return cached;
+}
+
 self.addEventListener('fetch', event => {
-  event.respondWith(caches.match(event.request).then(res => res || fetch(event.request)));
-});
\ No newline at end of file
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+  // Page loads carry launch parameters (?preset=, ?action=) but are the same shell
+  const href = request.mode === 'navigate' ? url.origin + url.pathname : url.href;
+  const revision = PRECACHED.get(href);
+  if (revision === undefined) {
+    event.respondWith(staleWhileRevalidate(event));
+    return;
+  }
+  event.respondWith(caches.match(precacheKey(href, revision)).then(cached => cached || fetch(request)));
+});
@@ -0,0 +1,1325 @@
+// Brainwave Sync synthesis: schedule math, the sample renderer, the audio
+// encoders and the preset schema. Nothing here touches the DOM or Web Audio,
+// so the app (app.js) and the command line renderer (bin/bws.js) share it
+// and write identical files.
+
+// ====================================================================
+// Schedule
+// ====================================================================
+
+// Length of the session: the longest of the main schedule and any extra layers
+export function getTotalDuration(opts) {
+  const scheduleLength = stages => stages.reduce((sum, s) => sum + s.duration, 0);
+  return Math.max(scheduleLength(opts.stages), ...(opts.layers ?? []).map(layer => scheduleLength(layer.stages)));
+}
+
+// Options for one of a session's extra layers: its own mode, carrier,
+// schedule and gain (as volume), sharing the session's pulse settings. The
+// session envelope, noise and ambient sound are applied once, to the whole
+// mix, so the layer has none. A layer shorter than the session holds its
+// last beat.
+export function getLayerOpts(layer, opts) {
+  return {
+    ...opts,
+    beatMode: layer.beatMode,
+    carrierHz: layer.carrierHz,
+    startBeatHz: layer.startBeatHz,
+    stages: layer.stages,
+    volume: layer.gain,
+    muted: false,
+    endAction: 'hold',
+    startLevel: 1,
+    fadeInSec: 0,
+    fadeOutSec: 0,
+    noiseType: 'off',
+    ambient: null,
+    layers: [],
+  };
+}
+
+// Interpolation between two stage values, k = 0..1 through the stage.
+// The exponential curves need positive endpoints and fall back to linear otherwise.
+export const CURVES = {
+  linear: (from, to, k) => from + (to - from) * k,
+  // Constant ratio per unit of time, like AudioParam.exponentialRampToValueAtTime
+  exponential: (from, to, k) => (from > 0 && to > 0) ? from * Math.pow(to / from, k) : from + (to - from) * k,
+  // Mirror image of the exponential curve: fast change first, slow approach to the target
+  logarithmic: (from, to, k) => (from > 0 && to > 0) ? from + to - to * Math.pow(from / to, k) : from + (to - from) * k,
+  // Ease-in/ease-out (smoothstep)
+  sigmoid: (from, to, k) => from + (to - from) * k * k * (3 - 2 * k),
+  // Jump to the target at the start of the stage and hold it
+  step: (from, to, k) => (k > 0 ? to : from),
+};
+
+function interpolate(from, to, k, curve) {
+  return (CURVES[curve] || CURVES.linear)(from, to, k);
+}
+
+// Value of a scheduled parameter at `sec`. Each stage ramps from the previous
+// point's value to pick(stage) along the stage's curve; a stage for which pick
+// returns null or undefined holds the previous value.
+export function getScheduleValueAt(sec, stages, startValue, pick) {
+  if (sec <= 0) return startValue;
+
+  let cumulativeTime = 0;
+  let previousValue = startValue;
+
+  for (const stage of stages) {
+    const stageStartTime = cumulativeTime;
+    const stageEndTime = cumulativeTime + stage.duration;
+    const target = pick(stage) ?? previousValue;
+
+    if (sec < stageEndTime) {
+      const timeIntoStage = sec - stageStartTime;
+      if (stage.duration === 0) return previousValue; // Avoid division by zero
+      const k = timeIntoStage / stage.duration;
+      return interpolate(previousValue, target, k, stage.curve);
+    }
+
+    cumulativeTime = stageEndTime;
+    previousValue = target;
+  }
+
+  return previousValue;
+}
+
+export function getBeatAt(sec, opts) {
+  return getScheduleValueAt(sec, opts.stages, opts.startBeatHz, s => s.beat);
+}
+
+export function getCarrierAt(sec, opts) {
+  return getScheduleValueAt(sec, opts.stages, opts.carrierHz, s => s.carrierHz);
+}
+
+export function getLevelAt(sec, opts) {
+  return getScheduleValueAt(sec, opts.stages, opts.startLevel ?? 1, s => s.level);
+}
+
+// Overall gain envelope: the scheduled level shaped by the session fades.
+// The fade-out ends with the schedule, so it only applies when the session
+// stops there (always the case for exports).
+export function getEnvelopeAt(sec, opts) {
+  let gain = getLevelAt(sec, opts);
+  const fadeIn = opts.fadeInSec || 0;
+  const fadeOut = opts.fadeOutSec || 0;
+  if (fadeIn > 0 && sec < fadeIn) gain *= Math.max(0, sec) / fadeIn;
+  if (fadeOut > 0 && opts.endAction === 'stop') {
+    const remaining = getTotalDuration(opts) - sec;
+    if (remaining < fadeOut) gain *= Math.max(0, remaining) / fadeOut;
+  }
+  return gain;
+}
+
+export function getNoiseLevelAt(sec, opts) {
+  return getScheduleValueAt(sec, opts.stages, opts.noiseLevel ?? 0, s => s.noiseLevel);
+}
+
+export function hasEnvelope(opts) {
+  return opts.fadeInSec > 0 || (opts.fadeOutSec > 0 && opts.endAction === 'stop') ||
+    (opts.startLevel ?? 1) !== 1 || opts.stages.some(s => s.level != null && s.level !== 1);
+}
+
+// ====================================================================
+// Isochronic Pulse Shapes
+// ====================================================================
+
+const PULSE_CURVE_POINTS = 128;
+
+// Shape of one isochronic pulse (0..1) at t seconds into an on-time of
+// `width` seconds. Square pulses ramp over the attack/release times, each
+// limited to half the on-time.
+export function getPulseShapeAt(t, width, opts) {
+  const x = t / width;
+  if (x <= 0 || x >= 1) return 0;
+  switch (opts.pulseShape) {
+    case 'square': {
+      const attack = Math.min((opts.pulseAttackMs ?? 5) / 1000, width / 2);
+      const release = Math.min((opts.pulseReleaseMs ?? 5) / 1000, width / 2);
+      if (t < attack) return t / attack;
+      if (width - t < release) return (width - t) / release;
+      return 1;
+    }
+    case 'sine': return Math.sin(Math.PI * x);
+    case 'hann': return 0.5 - 0.5 * Math.cos(2 * Math.PI * x);
+    default: return 1 - Math.abs(2 * x - 1); // triangle
+  }
+}
+
+// Gain the pulse dips to between pulses; depth 1 means silence
+export function getPulseFloor(opts) {
+  return 1 - (opts.pulseDepth ?? 1);
+}
+
+// One pulse as a gain curve for AudioParam.setValueCurveAtTime, starting
+// and ending at the pulse floor
+export function createPulseCurve(width, opts) {
+  const floor = getPulseFloor(opts);
+  const curve = new Float32Array(PULSE_CURVE_POINTS);
+  for (let i = 0; i < PULSE_CURVE_POINTS; i++) {
+    const t = (i / (PULSE_CURVE_POINTS - 1)) * width;
+    curve[i] = floor + (1 - floor) * getPulseShapeAt(t, width, opts);
+  }
+  return curve;
+}
+
+// Whether isochronic pulses are panned (opts.panPattern) rather than centred
+export function isPanned(opts) {
+  return opts.beatMode === 'isochronic' && (opts.panPattern ?? 'off') !== 'off';
+}
+
+// Left and right gains for a mono signal at `pan` (-1..1), the equal-power
+// law a StereoPannerNode uses
+export function getPanGains(pan) {
+  const x = (pan + 1) * Math.PI / 4;
+  return [Math.cos(x), Math.sin(x)];
+}
+
+// ====================================================================
+// Noise Generator
+// ====================================================================
+
+// Returns a function that fills a Float32Array with white, pink or brown
+// noise at roughly matched loudness. Filter state carries over between calls,
+// so consecutive blocks form one continuous signal.
+// Pink uses Paul Kellet's refined filter, brown a leaky integrator.
+// `random` supplies the white noise, uniform in [0, 1).
+export function createNoiseGenerator(type, random = Math.random) {
+  let b0 = 0, b1 = 0, b2 = 0, b3 = 0, b4 = 0, b5 = 0, b6 = 0, last = 0;
+  return data => {
+    for (let i = 0; i < data.length; i++) {
+      const white = random() * 2 - 1;
+      if (type === 'pink') {
+        b0 = 0.99886 * b0 + white * 0.0555179;
+        b1 = 0.99332 * b1 + white * 0.0750759;
+        b2 = 0.96900 * b2 + white * 0.1538520;
+        b3 = 0.86650 * b3 + white * 0.3104856;
+        b4 = 0.55000 * b4 + white * 0.5329522;
+        b5 = -0.7616 * b5 - white * 0.0168980;
+        data[i] = (b0 + b1 + b2 + b3 + b4 + b5 + b6 + white * 0.5362) * 0.11;
+        b6 = white * 0.115926;
+      } else if (type === 'brown') {
+        last = (last + 0.02 * white) / 1.02;
+        data[i] = last * 3.5;
+      } else {
+        data[i] = white * 0.5;
+      }
+    }
+    return data;
+  };
+}
+
+// Seeded uniform random numbers in [0, 1) (mulberry32)
+export function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = Math.imul(state ^ (state >>> 15), state | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Loop timing for an ambient sound of `length` (seconds or frames): each pass
+// starts `period` after the previous one and the overlap of `fade` is
+// crossfaded. The crossfade is capped at half the file.
+export function ambientLoopTiming(length, crossfade) {
+  const fade = Math.min(crossfade, length / 2);
+  return { period: length - fade, fade };
+}
+
+// ====================================================================
+// Offline Sample Renderer
+// ====================================================================
+
+// Control values (carrier, beat, envelope, noise level) are evaluated every
+// CONTROL_BLOCK frames and interpolated linearly in between.
+const CONTROL_BLOCK = 128;
+const NOISE_SEED = 0x5EED;
+const EXPORT_CHUNK_SECONDS = 10;
+
+// Renders a session to raw samples in plain JS, one chunk at a time.
+// Oscillator phases, pulse timing and noise state carry over between calls
+// to render(), so consecutive chunks join without clicks. Uses the same
+// schedule and pulse-shape functions as the live engines.
+export class SampleRenderer {
+  // `ambient` is the decoded ambient sound for opts.ambient, one Float32Array
+  // per channel at `sampleRate`; a stereo file makes the render stereo
+  constructor(opts, sampleRate, ambient = null) {
+    this.opts = opts;
+    this.sampleRate = sampleRate;
+    this.ambient = ambient && opts.ambient ? {
+      channels: ambient,
+      ...ambientLoopTiming(ambient[0].length, Math.round(opts.ambient.crossfadeSec * sampleRate)),
+    } : null;
+    // Layers render on their own and are mixed in under this envelope
+    this.layers = (opts.layers ?? []).map(layer => ({
+      gain: layer.gain,
+      renderer: new SampleRenderer(getLayerOpts(layer, opts), sampleRate),
+    }));
+    const stereo = opts.beatMode === 'binaural' || isPanned(opts) || ambient?.length > 1 || this.layers.some(l => l.renderer.numChannels === 2);
+    this.numChannels = stereo ? 2 : 1;
+    this.frame = 0; // First frame of the next chunk
+    this.phaseA = 0; // Carrier
+    this.phaseB = 0; // Carrier + beat (binaural right, monaural second tone)
+    this.pulseStart = 0;
+    this.pulseWidth = 0;
+    this.nextPulse = 0;
+    this.pulseCount = 0; // Pulses started so far; alternate panning starts on the left
+    // Seeded, so every render of a session is the same file
+    this.noise = opts.noiseType && opts.noiseType !== 'off' ? createNoiseGenerator(opts.noiseType, createRandom(NOISE_SEED)) : null;
+  }
+
+  // Gain of the isochronic pulse train at t seconds, starting new pulses the
+  // same way BrainwaveIso schedules them
+  _pulseGainAt(t) {
+    const o = this.opts;
+    while (t >= this.nextPulse) {
+      this.pulseStart = this.nextPulse;
+      const beatHz = getBeatAt(this.pulseStart, o);
+      if (beatHz <= 0) {
+        this.pulseWidth = 0;
+        this.nextPulse += 0.5;
+        continue;
+      }
+      const period = 1 / beatHz;
+      this.pulseWidth = period * (o.pulseDuty ?? 0.5);
+      this.nextPulse += period;
+      this.pulseCount++;
+    }
+    const floor = getPulseFloor(o);
+    if (this.pulseWidth === 0) return floor;
+    return floor + (1 - floor) * getPulseShapeAt(t - this.pulseStart, this.pulseWidth, o);
+  }
+
+  // The ambient sound for the next `frames` frames at its set level, one
+  // array per output channel, looped and crossfaded like BrainwaveEngine's
+  // ambient layer
+  _renderAmbient(frames) {
+    const { channels, period, fade } = this.ambient;
+    const { level, loop } = this.opts.ambient;
+    const length = channels[0].length;
+    const out = Array.from({ length: this.numChannels }, () => new Float32Array(frames));
+    for (let i = 0; i < frames; i++) {
+      const frame = this.frame + i;
+      const pass = loop ? Math.floor(frame / period) : 0;
+      const pos = frame - pass * period;
+      if (pos >= length) break; // Not looping and past the end
+      // Passes after the first fade in over the tail of the one before
+      const crossfading = pass > 0 && pos < fade;
+      const gainIn = crossfading ? Math.sqrt(pos / fade) : 1;
+      const gainOut = crossfading ? Math.sqrt(1 - pos / fade) : 0;
+      for (let c = 0; c < out.length; c++) {
+        const data = channels[Math.min(c, channels.length - 1)];
+        out[c][i] = level * (data[pos] * gainIn + (crossfading ? data[pos + period] * gainOut : 0));
+      }
+    }
+    return out;
+  }
+
+  // Renders the next `frames` frames; returns one Float32Array per channel
+  render(frames) {
+    const o = this.opts;
+    const sr = this.sampleRate;
+    const twoPi = 2 * Math.PI;
+    const channels = Array.from({ length: this.numChannels }, () => new Float32Array(frames));
+    const noise = this.noise ? this.noise(new Float32Array(frames)) : null;
+    const ambient = this.ambient ? this._renderAmbient(frames) : null;
+    const layers = this.layers.map(({ gain, renderer }) => ({ gain, channels: renderer.render(frames) }));
+
+    for (let blockStart = 0; blockStart < frames; blockStart += CONTROL_BLOCK) {
+      const n = Math.min(CONTROL_BLOCK, frames - blockStart);
+      const tStart = (this.frame + blockStart) / sr;
+      const tEnd = (this.frame + blockStart + n) / sr;
+      const carrier0 = getCarrierAt(tStart, o), carrierStep = (getCarrierAt(tEnd, o) - carrier0) / n;
+      const beat0 = getBeatAt(tStart, o), beatStep = (getBeatAt(tEnd, o) - beat0) / n;
+      const env0 = getEnvelopeAt(tStart, o), envStep = (getEnvelopeAt(tEnd, o) - env0) / n;
+      const noise0 = noise ? getNoiseLevelAt(tStart, o) : 0;
+      const noiseStep = noise ? (getNoiseLevelAt(tEnd, o) - noise0) / n : 0;
+
+      for (let i = 0; i < n; i++) {
+        const f = blockStart + i;
+        const carrierHz = carrier0 + carrierStep * i;
+        const a = Math.sin(this.phaseA);
+        this.phaseA += twoPi * carrierHz / sr;
+        if (this.phaseA >= twoPi) this.phaseA -= twoPi;
+
+        let left, right;
+        if (o.beatMode === 'binaural' || o.beatMode === 'monaural') {
+          const b = Math.sin(this.phaseB);
+          this.phaseB += twoPi * (carrierHz + beat0 + beatStep * i) / sr;
+          if (this.phaseB >= twoPi) this.phaseB -= twoPi;
+          if (o.beatMode === 'binaural') {
+            left = a;
+            right = b;
+          } else {
+            left = 0.5 * (a + b); // Each tone at half level, as in BrainwaveMonaural
+          }
+        } else {
+          const t = (this.frame + f) / sr;
+          left = a * this._pulseGainAt(t);
+          if (isPanned(o)) {
+            // Same pan as BrainwaveIso's panner: by pulse, or a sine sweep
+            const pan = o.panPattern === 'alternate' ? (this.pulseCount % 2 ? -1 : 1) : Math.sin(twoPi * (o.panSweepHz ?? 0.5) * t);
+            const [gainL, gainR] = getPanGains(pan);
+            right = left * gainR;
+            left *= gainL;
+          }
+        }
+
+        right ??= left;
+        for (const layer of layers) {
+          left += layer.gain * layer.channels[0][f];
+          right += layer.gain * layer.channels[layer.channels.length - 1][f];
+        }
+
+        const env = env0 + envStep * i;
+        const noiseSample = noise ? noise[f] * (noise0 + noiseStep * i) : 0;
+        channels[0][f] = env * (left + noiseSample + (ambient ? ambient[0][f] : 0));
+        if (this.numChannels === 2) channels[1][f] = env * (right + noiseSample + (ambient ? ambient[1][f] : 0));
+      }
+    }
+
+    this.frame += frames;
+    return channels;
+  }
+}
+
+// Renders `numFrames` in EXPORT_CHUNK_SECONDS slices and streams each one
+// through `encoder`, so memory use stays flat for multi-hour sessions.
+// `write` gets each piece of the file in order; `onProgress` is awaited with
+// the fraction done after every slice and may throw to cancel.
+export async function renderToEncoder(renderer, encoder, numFrames, write, onProgress) {
+  // Encoders return null when they have nothing to add
+  const put = data => (data ? write(data) : undefined);
+  await put(encoder.header());
+  const chunkFrames = EXPORT_CHUNK_SECONDS * renderer.sampleRate;
+  for (let frame = 0; frame < numFrames; frame += chunkFrames) {
+    const frames = Math.min(chunkFrames, numFrames - frame);
+    await put(await encoder.encode(renderer.render(frames)));
+    await onProgress?.((frame + frames) / numFrames);
+  }
+  await put(await encoder.finish());
+}
+
+// ====================================================================
+// WAV Encoder
+// ====================================================================
+
+// WAV header for `numFrames` of PCM or IEEE float audio. Files over 4 GB get
+// an RF64 header (EBU Tech 3306) whose ds64 chunk carries the 64-bit sizes.
+// An odd-sized data chunk must be followed by a pad byte, which the RIFF size
+// counts (WavEncoder.finish writes it).
+export function createWavHeader({ sampleRate, numChannels, bitsPerSample, float = false, numFrames }) {
+  const blockAlign = numChannels * bitsPerSample / 8;
+  const dataSize = numFrames * blockAlign;
+  const padSize = dataSize % 2;
+  // Float data needs the extended fmt chunk and a fact chunk
+  const baseSize = 12 + (float ? 26 + 12 : 24) + 8;
+  const isRf64 = baseSize + dataSize + padSize - 8 > 0xFFFFFFFF;
+  const header = new ArrayBuffer(baseSize + (isRf64 ? 36 : 0));
+  const view = new DataView(header);
+  let pos = 0;
+
+  // Helper functions
+  const setUint16 = (data) => {
+    view.setUint16(pos, data, true);
+    pos += 2;
+  }
+  const setUint32 = (data) => {
+    view.setUint32(pos, data, true);
+    pos += 4;
+  }
+  const setUint64 = (data) => {
+    setUint32(data % 0x100000000);
+    setUint32(Math.floor(data / 0x100000000));
+  }
+
+  if (isRf64) {
+    setUint32(0x34364652); // "RF64"
+    setUint32(0xFFFFFFFF); // size lives in ds64
+    setUint32(0x45564157); // "WAVE"
+
+    setUint32(0x34367364); // "ds64" chunk
+    setUint32(28); // length = 28
+    setUint64(header.byteLength + dataSize + padSize - 8); // RIFF size
+    setUint64(dataSize);
+    setUint64(numFrames); // sample count
+    setUint32(0); // no table entries
+  } else {
+    setUint32(0x46464952); // "RIFF"
+    setUint32(header.byteLength + dataSize + padSize - 8); // file length - 8
+    setUint32(0x45564157); // "WAVE"
+  }
+
+  setUint32(0x20746d66); // "fmt " chunk
+  setUint32(float ? 18 : 16); // length
+  setUint16(float ? 3 : 1); // IEEE float or PCM (uncompressed)
+  setUint16(numChannels);
+  setUint32(sampleRate);
+  setUint32(sampleRate * blockAlign); // avg. bytes/sec
+  setUint16(blockAlign); // block-align
+  setUint16(bitsPerSample);
+
+  if (float) {
+    setUint16(0); // no extension
+    setUint32(0x74636166); // "fact" chunk
+    setUint32(4); // length = 4
+    setUint32(isRf64 ? 0xFFFFFFFF : numFrames); // sample count
+  }
+
+  setUint32(0x61746164); // "data" - chunk
+  setUint32(isRf64 ? 0xFFFFFFFF : dataSize); // chunk length
+
+  return header;
+}
+
+// Scales a float sample to a signed integer of `bits` bits, clamping to full scale
+function quantizeSample(sample, bits) {
+  const s = Math.max(-1, Math.min(1, sample));
+  const scale = 2 ** (bits - 1);
+  return Math.round(s < 0 ? s * scale : s * (scale - 1));
+}
+
+// Interleaves channel data into little-endian 16/24-bit PCM or 32-bit float
+function encodePcm(channels, bitsPerSample, float = false) {
+  const numOfChan = channels.length, frames = channels[0].length;
+  const bytesPerSample = bitsPerSample / 8;
+  const pcm = new ArrayBuffer(frames * numOfChan * bytesPerSample);
+  const view = new DataView(pcm);
+  let pos = 0;
+  for (let i = 0; i < frames; i++) {
+    for (let c = 0; c < numOfChan; c++) {
+      const sample = channels[c][i];
+      if (float) {
+        view.setFloat32(pos, sample, true);
+      } else if (bitsPerSample === 24) {
+        const v = quantizeSample(sample, 24);
+        view.setUint8(pos, v & 0xff);
+        view.setInt16(pos + 1, v >> 8, true);
+      } else {
+        view.setInt16(pos, quantizeSample(sample, 16), true);
+      }
+      pos += bytesPerSample;
+    }
+  }
+  return pcm;
+}
+
+// Streaming WAV writer. Like the other encoders it has header() for the
+// leading bytes, encode(channels) per rendered chunk and finish() for
+// anything left over; each returns the bytes to append to the file.
+export class WavEncoder {
+  constructor({ sampleRate, numChannels, numFrames, bitsPerSample, float = false }) {
+    this.info = { sampleRate, numChannels, numFrames, bitsPerSample, float };
+  }
+
+  header() { return createWavHeader(this.info); }
+
+  async encode(channels) { return encodePcm(channels, this.info.bitsPerSample, this.info.float); }
+
+  // Pad byte after an odd-sized data chunk (24-bit mono, odd frame count)
+  async finish() {
+    const { numChannels, numFrames, bitsPerSample } = this.info;
+    return (numChannels * numFrames * bitsPerSample / 8) % 2 ? new Uint8Array(1) : null;
+  }
+}
+
+// ====================================================================
+// FLAC Encoder
+// ====================================================================
+
+const FLAC_BLOCK_SIZE = 4096;
+const FLAC_MAX_PARTITION_ORDER = 6;
+const FLAC_SAMPLE_RATE_CODES = {
+  88200: 0b0001, 176400: 0b0010, 192000: 0b0011, 8000: 0b0100, 16000: 0b0101, 22050: 0b0110,
+  24000: 0b0111, 32000: 0b1000, 44100: 0b1001, 48000: 0b1010, 96000: 0b1011,
+};
+const FLAC_SAMPLE_SIZE_CODES = { 8: 0b001, 12: 0b010, 16: 0b100, 20: 0b101, 24: 0b110 };
+
+// Frame header sample rate: a table code, or a code plus the rate written
+// after the block size. Streamable FLAC may not leave it to STREAMINFO.
+function getFlacSampleRateCoding(sampleRate) {
+  if (FLAC_SAMPLE_RATE_CODES[sampleRate]) return { code: FLAC_SAMPLE_RATE_CODES[sampleRate], bits: 0 };
+  if (sampleRate % 1000 === 0 && sampleRate / 1000 < 256) return { code: 0b1100, bits: 8, value: sampleRate / 1000 };
+  if (sampleRate < 65536) return { code: 0b1101, bits: 16, value: sampleRate };
+  if (sampleRate % 10 === 0 && sampleRate / 10 < 65536) return { code: 0b1110, bits: 16, value: sampleRate / 10 };
+  return null;
+}
+
+// Growable MSB-first bit writer
+class BitWriter {
+  constructor(size = 1 << 16) {
+    this.bytes = new Uint8Array(size);
+    this.pos = 0; // Next byte to fill
+    this.acc = 0; // Pending bits (fewer than 8), right-aligned
+    this.accBits = 0;
+  }
+
+  // Writes the low n bits of a non-negative value (n up to 53)
+  write(value, n) {
+    if (n > 24) {
+      this.write(Math.floor(value / 2 ** 24), n - 24);
+      value %= 2 ** 24;
+      n = 24;
+    }
+    if (this.pos + 4 > this.bytes.length) {
+      const grown = new Uint8Array(this.bytes.length * 2);
+      grown.set(this.bytes);
+      this.bytes = grown;
+    }
+    this.acc = (this.acc << n) | value;
+    this.accBits += n;
+    while (this.accBits >= 8) {
+      this.accBits -= 8;
+      this.bytes[this.pos++] = (this.acc >>> this.accBits) & 0xff;
+    }
+    this.acc &= (1 << this.accBits) - 1;
+  }
+
+  // Two's complement in n bits
+  writeSigned(value, n) { this.write(value < 0 ? value + 2 ** n : value, n); }
+
+  // Rice code: the quotient in unary (zeros closed by a one), then k low bits
+  writeRice(u, k) {
+    let q = u >>> k;
+    while (q >= 24) { this.write(0, 24); q -= 24; }
+    this.write(1, q + 1);
+    if (k > 0) this.write(u & ((1 << k) - 1), k);
+  }
+
+  alignToByte() { if (this.accBits > 0) this.write(0, 8 - this.accBits); }
+
+  // Returns the completed bytes and empties the writer; must be byte-aligned
+  take() {
+    const out = this.bytes.slice(0, this.pos);
+    this.pos = 0;
+    return out;
+  }
+}
+
+let crcTables = null;
+
+// CRC-8 (poly 0x07) and CRC-16 (poly 0x8005) as used by FLAC frames, and the
+// Ogg page CRC-32 (poly 0x04c11db7), all MSB-first with a zero initial value
+function getCrcTables() {
+  if (crcTables) return crcTables;
+  const crc8 = new Uint8Array(256), crc16 = new Uint16Array(256), crc32 = new Uint32Array(256);
+  for (let i = 0; i < 256; i++) {
+    let c8 = i, c16 = i << 8, c32 = i << 24;
+    for (let j = 0; j < 8; j++) {
+      c8 = (c8 & 0x80) ? ((c8 << 1) ^ 0x07) & 0xff : (c8 << 1) & 0xff;
+      c16 = (c16 & 0x8000) ? ((c16 << 1) ^ 0x8005) & 0xffff : (c16 << 1) & 0xffff;
+      c32 = (c32 & 0x80000000) ? (c32 << 1) ^ 0x04c11db7 : c32 << 1;
+    }
+    crc8[i] = c8; crc16[i] = c16; crc32[i] = c32 >>> 0;
+  }
+  crcTables = { crc8, crc16, crc32 };
+  return crcTables;
+}
+
+function crc8(bytes, start, end) {
+  const table = getCrcTables().crc8;
+  let crc = 0;
+  for (let i = start; i < end; i++) crc = table[crc ^ bytes[i]];
+  return crc;
+}
+
+function crc16(bytes, start, end) {
+  const table = getCrcTables().crc16;
+  let crc = 0;
+  for (let i = start; i < end; i++) crc = ((crc << 8) & 0xffff) ^ table[(crc >> 8) ^ bytes[i]];
+  return crc;
+}
+
+// Picks the fixed predictor order (0-4) with the smallest total absolute
+// residual; `cost` is that total, used to compare stereo decorrelations
+function chooseFixedOrder(x) {
+  const n = x.length;
+  if (n <= 4) return { order: 0, cost: Infinity };
+  let e0 = 0, e1 = 0, e2 = 0, e3 = 0, e4 = 0;
+  for (let i = 4; i < n; i++) {
+    const a = x[i], b = x[i - 1], c = x[i - 2], d = x[i - 3], e = x[i - 4];
+    e0 += Math.abs(a);
+    e1 += Math.abs(a - b);
+    e2 += Math.abs(a - 2 * b + c);
+    e3 += Math.abs(a - 3 * b + 3 * c - d);
+    e4 += Math.abs(a - 4 * b + 6 * c - 4 * d + e);
+  }
+  const costs = [e0, e1, e2, e3, e4];
+  let order = 0;
+  for (let o = 1; o < 5; o++) if (costs[o] < costs[order]) order = o;
+  return { order, cost: costs[order] };
+}
+
+// Zigzag-mapped residual of the fixed predictor of the given order
+function fixedResidual(x, order) {
+  const n = x.length;
+  const u = new Uint32Array(n - order);
+  for (let i = order; i < n; i++) {
+    let r;
+    switch (order) {
+      case 0: r = x[i]; break;
+      case 1: r = x[i] - x[i - 1]; break;
+      case 2: r = x[i] - 2 * x[i - 1] + x[i - 2]; break;
+      case 3: r = x[i] - 3 * x[i - 1] + 3 * x[i - 2] - x[i - 3]; break;
+      default: r = x[i] - 4 * x[i - 1] + 6 * x[i - 2] - 4 * x[i - 3] + x[i - 4];
+    }
+    u[i - order] = r >= 0 ? 2 * r : -2 * r - 1;
+  }
+  return u;
+}
+
+// Best Rice parameter for `count` values summing to `sum`, and its cost in bits
+function riceParameter(sum, count) {
+  if (count === 0) return { k: 0, bits: 0 };
+  let best = null;
+  const estimate = sum > count ? Math.floor(Math.log2(sum / count)) : 0;
+  for (let k = Math.max(0, estimate - 1); k <= Math.min(30, estimate + 1); k++) {
+    const bits = count * (k + 1) + Math.floor(sum / 2 ** k);
+    if (!best || bits < best.bits) best = { k, bits };
+  }
+  return best;
+}
+
+// Splits the residual into 2^p partitions, choosing the partition order and
+// per-partition Rice parameters with the smallest estimated size
+function planResidual(u, blockSize, order) {
+  let maxOrder = 0;
+  while (maxOrder < FLAC_MAX_PARTITION_ORDER && (blockSize >> (maxOrder + 1)) << (maxOrder + 1) === blockSize &&
+         (blockSize >> (maxOrder + 1)) > order) {
+    maxOrder++;
+  }
+  // Sums over the finest partitions, merged pairwise for coarser orders
+  let sums = new Float64Array(1 << maxOrder);
+  const finest = blockSize >> maxOrder;
+  for (let i = 0; i < u.length; i++) sums[Math.floor((i + order) / finest)] += u[i];
+
+  let best = null;
+  for (let p = maxOrder; p >= 0; p--) {
+    const size = blockSize >> p;
+    const params = [];
+    let bits = 0;
+    for (let j = 0; j < sums.length; j++) {
+      const { k, bits: partitionBits } = riceParameter(sums[j], j === 0 ? size - order : size);
+      params.push(k);
+      bits += partitionBits;
+    }
+    const wide = params.some(k => k > 14);
+    bits += params.length * (wide ? 5 : 4);
+    if (!best || bits < best.bits) best = { partitionOrder: p, params, wide, bits };
+    if (p > 0) {
+      const merged = new Float64Array(sums.length / 2);
+      for (let j = 0; j < merged.length; j++) merged[j] = sums[2 * j] + sums[2 * j + 1];
+      sums = merged;
+    }
+  }
+  return best;
+}
+
+// Encodes 16/24-bit audio to FLAC with fixed predictors, partitioned Rice
+// coding and stereo decorrelation. Fixed-size blocks are buffered across
+// encode() calls; STREAMINFO carries the total sample count up front since
+// the export length is known, and no MD5 signature (allowed by the format).
+export class FlacEncoder {
+  constructor({ sampleRate, numChannels, numFrames, bitsPerSample = 16 }) {
+    this.rateCoding = getFlacSampleRateCoding(sampleRate);
+    if (!this.rateCoding) throw new Error(`FLAC cannot store a sample rate of ${sampleRate} Hz.`);
+    this.sampleRate = sampleRate;
+    this.numChannels = numChannels;
+    this.numFrames = numFrames;
+    this.bitsPerSample = bitsPerSample;
+    this.frameNumber = 0;
+    this.pending = Array.from({ length: numChannels }, () => new Int32Array(FLAC_BLOCK_SIZE));
+    this.pendingFrames = 0;
+    this.writer = new BitWriter();
+  }
+
+  header() {
+    const w = new BitWriter(64);
+    w.write(0x664c6143, 32); // "fLaC"
+    w.write(1, 1); // last metadata block
+    w.write(0, 7); // STREAMINFO
+    w.write(34, 24);
+    w.write(FLAC_BLOCK_SIZE, 16); // min block size
+    w.write(FLAC_BLOCK_SIZE, 16); // max block size
+    w.write(0, 24); // min frame size (unknown)
+    w.write(0, 24); // max frame size (unknown)
+    w.write(this.sampleRate, 20);
+    w.write(this.numChannels - 1, 3);
+    w.write(this.bitsPerSample - 1, 5);
+    w.write(this.numFrames, 36);
+    for (let i = 0; i < 4; i++) w.write(0, 32); // MD5 (not computed)
+    return w.take();
+  }
+
+  async encode(channels) {
+    const frames = channels[0].length;
+    for (let i = 0; i < frames; i++) {
+      for (let c = 0; c < this.numChannels; c++) {
+        this.pending[c][this.pendingFrames] = quantizeSample(channels[c][i], this.bitsPerSample);
+      }
+      if (++this.pendingFrames === FLAC_BLOCK_SIZE) this._flushBlock();
+    }
+    return this.writer.take();
+  }
+
+  async finish() {
+    if (this.pendingFrames > 0) this._flushBlock();
+    return this.writer.take();
+  }
+
+  _flushBlock() {
+    const n = this.pendingFrames;
+    const block = this.pending.map(samples => samples.subarray(0, n));
+    this._encodeFrame(block, n);
+    this.pendingFrames = 0;
+  }
+
+  _encodeFrame(block, n) {
+    const w = this.writer;
+    const bps = this.bitsPerSample;
+    const start = w.pos;
+
+    // Stereo decorrelation: keep whichever pair of signals predicts best
+    let assignment = this.numChannels - 1;
+    let subframes = block.map(x => ({ x, bps, fit: chooseFixedOrder(x) }));
+    if (this.numChannels === 2) {
+      const [left, right] = block;
+      const side = new Int32Array(n), mid = new Int32Array(n);
+      for (let i = 0; i < n; i++) {
+        side[i] = left[i] - right[i];
+        mid[i] = (left[i] + right[i]) >> 1;
+      }
+      const [l, r] = subframes;
+      const s = { x: side, bps: bps + 1, fit: chooseFixedOrder(side) };
+      const m = { x: mid, bps, fit: chooseFixedOrder(mid) };
+      const options = [
+        { assignment: 0b0001, subframes: [l, r] },
+        { assignment: 0b1000, subframes: [l, s] },
+        { assignment: 0b1001, subframes: [s, r] },
+        { assignment: 0b1010, subframes: [m, s] },
+      ];
+      const cost = o => o.subframes[0].fit.cost + o.subframes[1].fit.cost;
+      const best = options.reduce((a, b) => (cost(b) < cost(a) ? b : a));
+      assignment = best.assignment;
+      subframes = best.subframes;
+    }
+
+    // Frame header
+    w.write(0b11111111111110, 14); // sync code
+    w.write(0, 1); // reserved
+    w.write(0, 1); // fixed block size
+    w.write(0b0111, 4); // block size - 1 follows as 16 bits
+    w.write(this.rateCoding.code, 4);
+    w.write(assignment, 4);
+    w.write(FLAC_SAMPLE_SIZE_CODES[bps] ?? 0, 3);
+    w.write(0, 1); // reserved
+    this._writeFrameNumber(this.frameNumber++);
+    w.write(n - 1, 16);
+    if (this.rateCoding.bits) w.write(this.rateCoding.value, this.rateCoding.bits);
+    w.write(crc8(w.bytes, start, w.pos), 8);
+
+    for (const subframe of subframes) this._encodeSubframe(subframe, n);
+
+    w.alignToByte();
+    w.write(crc16(w.bytes, start, w.pos), 16);
+  }
+
+  // Frame numbers use the UTF-8 style variable-length coding
+  _writeFrameNumber(value) {
+    const w = this.writer;
+    if (value < 0x80) {
+      w.write(value, 8);
+      return;
+    }
+    let length = 2;
+    while (value >= 2 ** (5 * length + 1)) length++;
+    w.write(((0xff00 >> length) & 0xff) | Math.floor(value / 2 ** (6 * (length - 1))), 8);
+    for (let i = length - 2; i >= 0; i--) w.write(0x80 | (Math.floor(value / 2 ** (6 * i)) & 0x3f), 8);
+  }
+
+  _encodeSubframe({ x, bps, fit }, n) {
+    const w = this.writer;
+
+    if (x.every(v => v === x[0])) {
+      w.write(0b00000000, 8); // constant subframe, no wasted bits
+      w.writeSigned(x[0], bps);
+      return;
+    }
+
+    const { order } = fit;
+    const residual = n > 4 ? fixedResidual(x, order) : null;
+    const plan = residual && planResidual(residual, n, order);
+    if (!plan || plan.bits + order * bps >= n * bps) {
+      w.write(0b00000010, 8); // verbatim subframe
+      for (let i = 0; i < n; i++) w.writeSigned(x[i], bps);
+      return;
+    }
+
+    w.write((0b001000 | order) << 1, 8); // fixed subframe of this order
+    for (let i = 0; i < order; i++) w.writeSigned(x[i], bps);
+
+    w.write(plan.wide ? 0b01 : 0b00, 2); // Rice coding with 4- or 5-bit parameters
+    w.write(plan.partitionOrder, 4);
+    const size = n >> plan.partitionOrder;
+    let i = 0;
+    plan.params.forEach((k, j) => {
+      w.write(k, plan.wide ? 5 : 4);
+      const end = (j + 1) * size - order;
+      for (; i < end; i++) w.writeRice(residual[i], k);
+    });
+  }
+}
+
+// ====================================================================
+// Ogg/Opus Encoder
+// ====================================================================
+
+const OGG_PACKETS_PER_PAGE = 50; // About one second of 20ms Opus packets
+const OPUS_DEFAULT_PRE_SKIP = 312;
+
+// Encodes to Opus with the browser's WebCodecs AudioEncoder and wraps the
+// packets in an Ogg stream (RFC 7845). Not every browser ships the encoder,
+// so check isSupported() first.
+export class OggOpusEncoder {
+  static config(sampleRate, numChannels) {
+    return { codec: 'opus', sampleRate, numberOfChannels: numChannels, bitrate: 64000 * numChannels, opus: { format: 'ogg' } };
+  }
+
+  static async isSupported(sampleRate = 48000, numChannels = 2) {
+    if (!globalThis.AudioEncoder) return false;
+    try {
+      return (await AudioEncoder.isConfigSupported(OggOpusEncoder.config(sampleRate, numChannels))).supported;
+    } catch {
+      return false;
+    }
+  }
+
+  constructor({ sampleRate, numChannels, numFrames }) {
+    this.sampleRate = sampleRate;
+    this.numChannels = numChannels;
+    this.numFrames = numFrames;
+    this.framesIn = 0;
+    this.serial = Math.floor(Math.random() * 0x100000000);
+    this.pageSequence = 0;
+    this.preSkip = null; // Set from the encoder's OpusHead once output starts
+    this.packets = []; // Packets waiting for the current page
+    this.pages = []; // Finished pages not yet returned
+    this.error = null;
+    this.encoder = new AudioEncoder({
+      output: (chunk, metadata) => this._onOutput(chunk, metadata),
+      error: e => { this.error = e; },
+    });
+    this.encoder.configure(OggOpusEncoder.config(sampleRate, numChannels));
+  }
+
+  // The header pages need the encoder's pre-skip, so they are written with
+  // the first packet instead
+  header() { return null; }
+
+  async encode(channels) {
+    if (this.error) throw this.error;
+    const frames = channels[0].length;
+    const planar = new Float32Array(frames * this.numChannels);
+    channels.forEach((data, c) => planar.set(data, c * frames));
+    const audioData = new AudioData({
+      format: 'f32-planar',
+      sampleRate: this.sampleRate,
+      numberOfFrames: frames,
+      numberOfChannels: this.numChannels,
+      timestamp: Math.round(this.framesIn * 1e6 / this.sampleRate),
+      data: planar,
+    });
+    this.encoder.encode(audioData);
+    audioData.close();
+    this.framesIn += frames;
+    // Wait for the encoder to catch up so the queue doesn't grow unbounded
+    while (this.encoder.encodeQueueSize > 0) await new Promise(resolve => setTimeout(resolve, 10));
+    return this._takePages();
+  }
+
+  async finish() {
+    await this.encoder.flush();
+    this.encoder.close();
+    if (this.error) throw this.error;
+    if (this.preSkip === null) throw new Error('The Opus encoder produced no output.');
+    // The final granule position trims the encoder's padding from the end
+    const total = this.preSkip + Math.round(this.numFrames * 48000 / this.sampleRate);
+    this._writePage(this.packets.map(p => p.data), total, 0x04);
+    this.packets = [];
+    return this._takePages();
+  }
+
+  _onOutput(chunk, metadata) {
+    if (this.preSkip === null) this._writeHeaders(metadata?.decoderConfig?.description);
+
+    const data = new Uint8Array(chunk.byteLength);
+    chunk.copyTo(data);
+    // Granule positions count 48 kHz samples, including the pre-skip
+    const end = chunk.timestamp + (chunk.duration ?? 20000);
+    this.packets.push({ data, granule: this.preSkip + Math.round(end * 48000 / 1e6) });
+    if (this.packets.length >= OGG_PACKETS_PER_PAGE) {
+      this._writePage(this.packets.map(p => p.data), this.packets[this.packets.length - 1].granule, 0);
+      this.packets = [];
+    }
+  }
+
+  // OpusHead (from the encoder if it supplies one) and OpusTags pages
+  _writeHeaders(description) {
+    let head = description && new Uint8Array(ArrayBuffer.isView(description) ? description.buffer : description);
+    if (!head || String.fromCharCode(...head.subarray(0, 8)) !== 'OpusHead') {
+      head = new Uint8Array(19);
+      const view = new DataView(head.buffer);
+      head.set([...'OpusHead'].map(ch => ch.charCodeAt(0)));
+      view.setUint8(8, 1); // version
+      view.setUint8(9, this.numChannels);
+      view.setUint16(10, OPUS_DEFAULT_PRE_SKIP, true);
+      view.setUint32(12, this.sampleRate, true); // original input rate
+      view.setInt16(16, 0, true); // output gain
+      view.setUint8(18, 0); // mono/stereo channel mapping
+    }
+    this.preSkip = new DataView(head.buffer, head.byteOffset).getUint16(10, true);
+
+    const vendor = [...'Brainwave Sync'].map(ch => ch.charCodeAt(0));
+    const tags = new Uint8Array(8 + 4 + vendor.length + 4);
+    tags.set([...'OpusTags'].map(ch => ch.charCodeAt(0)));
+    new DataView(tags.buffer).setUint32(8, vendor.length, true);
+    tags.set(vendor, 12); // no user comments follow
+
+    this._writePage([head], 0, 0x02);
+    this._writePage([tags], 0, 0);
+  }
+
+  _writePage(packets, granule, flags) {
+    const lacing = [];
+    for (const packet of packets) {
+      let length = packet.length;
+      while (length >= 255) { lacing.push(255); length -= 255; }
+      lacing.push(length);
+    }
+    const bodySize = packets.reduce((sum, p) => sum + p.length, 0);
+    const page = new Uint8Array(27 + lacing.length + bodySize);
+    const view = new DataView(page.buffer);
+    page.set([0x4f, 0x67, 0x67, 0x53]); // "OggS"
+    view.setUint8(4, 0); // version
+    view.setUint8(5, flags); // 0x02 first page, 0x04 last page
+    view.setUint32(6, granule % 0x100000000, true);
+    view.setUint32(10, Math.floor(granule / 0x100000000), true);
+    view.setUint32(14, this.serial, true);
+    view.setUint32(18, this.pageSequence++, true);
+    view.setUint8(26, lacing.length);
+    page.set(lacing, 27);
+    let pos = 27 + lacing.length;
+    for (const packet of packets) {
+      page.set(packet, pos);
+      pos += packet.length;
+    }
+    const table = getCrcTables().crc32;
+    let crc = 0;
+    for (let i = 0; i < page.length; i++) crc = ((crc << 8) ^ table[(crc >>> 24) ^ page[i]]) >>> 0;
+    view.setUint32(22, crc, true);
+    this.pages.push(page);
+  }
+
+  _takePages() {
+    const pages = this.pages;
+    this.pages = [];
+    return pages.length ? new Blob(pages) : null;
+  }
+}
+
+// Export formats by preset exportFormat value
+export const EXPORT_FORMATS = {
+  wav16: { extension: 'wav', mimeType: 'audio/wav', suffix: '', create: info => new WavEncoder({ ...info, bitsPerSample: 16 }) },
+  wav24: { extension: 'wav', mimeType: 'audio/wav', suffix: '_24bit', create: info => new WavEncoder({ ...info, bitsPerSample: 24 }) },
+  wav32f: { extension: 'wav', mimeType: 'audio/wav', suffix: '_32float', create: info => new WavEncoder({ ...info, bitsPerSample: 32, float: true }) },
+  flac: { extension: 'flac', mimeType: 'audio/flac', suffix: '', create: info => new FlacEncoder({ ...info, bitsPerSample: 16 }) },
+  opus: { extension: 'opus', mimeType: 'audio/ogg', suffix: '', create: info => new OggOpusEncoder(info) },
+};
+
+// Output file name for a preset rendered in `format`
+export function getExportFileName(preset, format) {
+  const presetName = preset.name.replace(/[^a-z0-9]/gi, '_').toLowerCase();
+  return `bws_${presetName}_${preset.beatMode}${format.suffix}.${format.extension}`;
+}
+
+// ====================================================================
+// Preset Schema
+// ====================================================================
+
+// Beat modes, each with an engine in the app
+export const BEAT_MODES = ['isochronic', 'binaural', 'monaural'];
+
+export const PRESET_SCHEMA_VERSION = 7;
+
+// Each entry upgrades a preset from schema version i to i + 1
+const PRESET_MIGRATIONS = [
+  // 0 -> 1: unversioned presets predate fields that were added over time
+  preset => ({
+    description: '',
+    totalPoints: (preset.stages?.length ?? 0) + 1,
+    singlePointHours: 0,
+    singlePointMinutes: 30,
+    endAction: 'hold',
+    exportSampleRate: 44100,
+    exportFormat: 'wav16',
+    muted: false,
+    volume: 1.0,
+    startLevel: 1.0,
+    fadeInSec: 0,
+    fadeOutSec: 0,
+    noiseType: 'off',
+    noiseLevel: 0.3,
+    pulseShape: 'triangle',
+    pulseDuty: 0.5,
+    pulseDepth: 1.0,
+    pulseAttackMs: 5,
+    pulseReleaseMs: 5,
+    ...preset,
+    beatMode: BEAT_MODES.includes(preset.beatMode) ? preset.beatMode : 'isochronic',
+    stages: (preset.stages ?? []).map(s => ({ curve: 'linear', carrierHz: null, level: null, noiseLevel: null, ...s })),
+  }),
+  // 1 -> 2: the stage list replaces totalPoints; a single-point preset's
+  // duration becomes one stage that holds the start beat
+  ({ totalPoints, singlePointHours, singlePointMinutes, ...preset }) => {
+    const points = totalPoints ?? preset.stages.length + 1;
+    if (points > 1) return { ...preset, stages: preset.stages.slice(0, points - 1) };
+    const hours = singlePointHours ?? 0, minutes = singlePointMinutes ?? 0;
+    const stage = { beat: preset.startBeatHz, hours, minutes, curve: 'linear', carrierHz: null, level: null, noiseLevel: null };
+    return { ...preset, stages: hours * 60 + minutes > 0 ? [stage] : [] };
+  },
+  // 2 -> 3: optional wake-up ramp after the schedule
+  preset => ({ wakeUpBeatHz: null, wakeUpMinutes: 10, ...preset }),
+  // 3 -> 4: optional ambient sound file mixed under the session
+  preset => ({ ambientId: null, ambientName: '', ambientLevel: 0.5, ambientLoop: true, ambientCrossfadeSec: 2, ...preset }),
+  // 4 -> 5: extra beat layers played alongside the main schedule
+  preset => ({ layers: [], ...preset }),
+  // 5 -> 6: optional panning of isochronic pulses
+  preset => ({ panPattern: 'off', panSweepHz: 0.5, ...preset }),
+  // 6 -> 7: copies of built-in presets carry the built-in's id (the app
+  // tags existing copies by name when it upgrades its library)
+  preset => ({ builtInId: null, ...preset }),
+];
+
+export function migratePreset(preset, fromVersion) {
+  for (let v = fromVersion; v < PRESET_SCHEMA_VERSION; v++) {
+    preset = PRESET_MIGRATIONS[v](preset);
+  }
+  return preset;
+}
+
+// Checks a (migrated) preset and returns a list of readable problems, each
+// prefixed with `path` so errors in multi-preset files can be located
+export function validatePreset(preset, path = 'preset') {
+  const errors = [];
+  if (!preset || typeof preset !== 'object' || Array.isArray(preset)) return [`${path} must be an object`];
+
+  const isNumber = v => typeof v === 'number' && Number.isFinite(v);
+  const check = (ok, field, message) => { if (!ok) errors.push(`${path}.${field} ${message}`); };
+  const checkRange = (field, min, max, value = preset[field]) =>
+    check(isNumber(value) && value >= min && value <= max, field, `must be a number from ${min} to ${max}`);
+  const checkOneOf = (field, allowed, value = preset[field]) =>
+    check(allowed.includes(value), field, `must be one of: ${allowed.join(', ')}`);
+
+  check(typeof preset.name === 'string' && preset.name.trim() !== '', 'name', 'must be a non-empty string');
+  check(typeof preset.description === 'string', 'description', 'must be a string');
+  checkRange('carrierHz', 1, 20000);
+  checkRange('startBeatHz', 0.1, 1000);
+  checkOneOf('beatMode', BEAT_MODES);
+  checkOneOf('endAction', ['hold', 'stop']);
+  check(Number.isInteger(preset.exportSampleRate) && preset.exportSampleRate >= 3000, 'exportSampleRate', 'must be a sample rate in Hz');
+  checkOneOf('exportFormat', Object.keys(EXPORT_FORMATS));
+  check(typeof preset.muted === 'boolean', 'muted', 'must be true or false');
+  checkRange('volume', 0, 1);
+  checkRange('startLevel', 0, 1);
+  checkRange('fadeInSec', 0, 86400);
+  checkRange('fadeOutSec', 0, 86400);
+  checkOneOf('noiseType', ['off', 'white', 'pink', 'brown']);
+  checkRange('noiseLevel', 0, 1);
+  checkOneOf('pulseShape', ['triangle', 'square', 'sine', 'hann']);
+  checkRange('pulseDuty', 0.05, 0.95);
+  checkRange('pulseDepth', 0, 1);
+  checkRange('pulseAttackMs', 0, 10000);
+  checkRange('pulseReleaseMs', 0, 10000);
+  checkOneOf('panPattern', ['off', 'alternate', 'sweep']);
+  checkRange('panSweepHz', 0.01, 20);
+  if (preset.wakeUpBeatHz !== null) checkRange('wakeUpBeatHz', 0.1, 1000);
+  checkRange('wakeUpMinutes', 1, 600);
+  check(preset.ambientId === null || typeof preset.ambientId === 'string', 'ambientId', 'must be a string or null');
+  check(typeof preset.ambientName === 'string', 'ambientName', 'must be a string');
+  checkRange('ambientLevel', 0, 1);
+  check(typeof preset.ambientLoop === 'boolean', 'ambientLoop', 'must be true or false');
+  checkRange('ambientCrossfadeSec', 0, 30);
+  check(preset.builtInId === null || typeof preset.builtInId === 'string', 'builtInId', 'must be a string or null');
+
+  // `prefix` locates the stage list: '' for the main schedule, 'layers[i].'
+  // for a layer's
+  const checkStages = (stages, prefix) => {
+    if (!Array.isArray(stages)) {
+      errors.push(`${path}.${prefix}stages must be an array`);
+      return;
+    }
+    stages.forEach((stage, i) => {
+      const field = name => `${prefix}stages[${i}].${name}`;
+      if (!stage || typeof stage !== 'object') {
+        errors.push(`${path}.${prefix}stages[${i}] must be an object`);
+        return;
+      }
+      checkRange(field('beat'), 0.1, 1000, stage.beat);
+      checkRange(field('hours'), 0, 1000, stage.hours);
+      checkRange(field('minutes'), 0, 59, stage.minutes);
+      checkOneOf(field('curve'), Object.keys(CURVES), stage.curve);
+      if (stage.carrierHz != null) checkRange(field('carrierHz'), 1, 20000, stage.carrierHz);
+      if (stage.level != null) checkRange(field('level'), 0, 1, stage.level);
+      if (stage.noiseLevel != null) checkRange(field('noiseLevel'), 0, 1, stage.noiseLevel);
+    });
+  };
+  checkStages(preset.stages, '');
+
+  if (!Array.isArray(preset.layers)) {
+    errors.push(`${path}.layers must be an array`);
+  } else {
+    preset.layers.forEach((layer, i) => {
+      const field = name => `layers[${i}].${name}`;
+      if (!layer || typeof layer !== 'object') {
+        errors.push(`${path}.layers[${i}] must be an object`);
+        return;
+      }
+      checkOneOf(field('beatMode'), BEAT_MODES, layer.beatMode);
+      checkRange(field('carrierHz'), 1, 20000, layer.carrierHz);
+      checkRange(field('startBeatHz'), 0.1, 1000, layer.startBeatHz);
+      checkRange(field('gain'), 0, 1, layer.gain);
+      checkStages(layer.stages, `layers[${i}].`);
+    });
+  }
+  return errors;
+}
+
+// Parses an exported presets file (or a bare array from an older version),
+// migrates it to the current schema and validates it. Throws an Error whose
+// message lists every problem found.
+export function parsePresetsFile(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    throw new Error(`The file is not valid JSON (${e.message}).`);
+  }
+  if (Array.isArray(data)) data = { schemaVersion: 0, presets: data };
+  if (!data || typeof data !== 'object' || !Array.isArray(data.presets)) {
+    throw new Error('The file does not contain a "presets" list.');
+  }
+  const version = data.schemaVersion;
+  if (!Number.isInteger(version) || version < 0) {
+    throw new Error('The file has no valid "schemaVersion".');
+  }
+  if (version > PRESET_SCHEMA_VERSION) {
+    throw new Error(`The file was made by a newer version of the app (schema ${version}, this app supports up to ${PRESET_SCHEMA_VERSION}).`);
+  }
+  if (data.presets.length === 0) throw new Error('The file contains no presets.');
+
+  const migrated = data.presets.map(p => (p && typeof p === 'object' ? migratePreset(p, version) : p));
+  const errors = migrated.flatMap((p, i) => validatePreset(p, `presets[${i}]`));
+  if (errors.length > 0) {
+    const shown = errors.slice(0, 10).map(e => `- ${e}`).join('\n');
+    const more = errors.length > 10 ? `\n...and ${errors.length - 10} more` : '';
+    throw new Error(`The presets are invalid:\n${shown}${more}`);
+  }
+  return migrated;
+}
+
+// A preset stage as the engines and getters read it
+const toScheduleStage = point => ({
+  beat: point.beat,
+  duration: (point.hours * 3600) + (point.minutes * 60),
+  curve: point.curve || 'linear',
+  carrierHz: point.carrierHz ?? null,
+  level: point.level ?? null,
+  noiseLevel: point.noiseLevel ?? null,
+});
+
+// Session options (what the engines, renderer and getters read) for a preset
+export function presetToOpts(preset) {
+  const stages = preset.stages.map(toScheduleStage);
+  // The wake-up ramp is an extra eased stage after the last point
+  if (preset.wakeUpBeatHz != null) {
+    stages.push({ beat: preset.wakeUpBeatHz, duration: preset.wakeUpMinutes * 60, curve: 'sigmoid', carrierHz: null, level: null, noiseLevel: null });
+  }
+
+  return {
+    carrierHz: preset.carrierHz,
+    startBeatHz: preset.startBeatHz,
+    stages,
+    muted: preset.muted,
+    volume: preset.volume ?? 1.0,
+    endAction: preset.endAction,
+    exportSampleRate: preset.exportSampleRate,
+    exportFormat: preset.exportFormat || 'wav16',
+    beatMode: BEAT_MODES.includes(preset.beatMode) ? preset.beatMode : 'isochronic',
+    startLevel: preset.startLevel ?? 1.0,
+    fadeInSec: preset.fadeInSec || 0,
+    fadeOutSec: preset.fadeOutSec || 0,
+    noiseType: preset.noiseType || 'off',
+    noiseLevel: preset.noiseLevel ?? 0.3,
+    pulseShape: preset.pulseShape || 'triangle',
+    pulseDuty: preset.pulseDuty ?? 0.5,
+    pulseDepth: preset.pulseDepth ?? 1.0,
+    pulseAttackMs: preset.pulseAttackMs ?? 5,
+    pulseReleaseMs: preset.pulseReleaseMs ?? 5,
+    panPattern: preset.panPattern || 'off',
+    panSweepHz: preset.panSweepHz ?? 0.5,
+    ambient: preset.ambientId ? {
+      id: preset.ambientId,
+      level: preset.ambientLevel ?? 0.5,
+      loop: preset.ambientLoop ?? true,
+      crossfadeSec: preset.ambientCrossfadeSec ?? 2,
+    } : null,
+    layers: (preset.layers ?? []).map(layer => ({
+      beatMode: BEAT_MODES.includes(layer.beatMode) ? layer.beatMode : 'isochronic',
+      carrierHz: layer.carrierHz,
+      startBeatHz: layer.startBeatHz,
+      gain: layer.gain ?? 0.5,
+      stages: layer.stages.map(toScheduleStage),
+    })),
+  };
+}
+
+// Options for exporting a preset. An export ends with the schedule, so the
+// session fade-out always applies.
+export function getExportOpts(preset) {
+  return { ...presetToOpts(preset), endAction: 'stop' };
+}
+
+// ====================================================================
+// Preset Export
+// ====================================================================
+
+// A preset rendered to a file in its export format (or `formatName`), as the
+// app's Save button and bws both do it. `ambient` is the decoded ambient
+// sound, as SampleRenderer takes it. Check the duration and supported()
+// first, then run() streams the file to `write`.
+export class PresetExport {
+  constructor(preset, { sampleRate, formatName, ambient = null } = {}) {
+    this.opts = getExportOpts(preset);
+    this.sampleRate = sampleRate ?? this.opts.exportSampleRate;
+    this.format = formatName === undefined ? EXPORT_FORMATS[this.opts.exportFormat] || EXPORT_FORMATS.wav16 : EXPORT_FORMATS[formatName];
+    if (!this.format) throw new Error(`Unknown format "${formatName}". Choose one of: ${Object.keys(EXPORT_FORMATS).join(', ')}.`);
+    this.fileName = getExportFileName(preset, this.format);
+    this.duration = getTotalDuration(this.opts);
+    this.numFrames = Math.round(this.duration * this.sampleRate);
+    this.renderer = new SampleRenderer(this.opts, this.sampleRate, ambient);
+  }
+
+  get numChannels() { return this.renderer.numChannels; }
+
+  // Opus needs WebCodecs, which not every runtime has at every rate
+  async supported() {
+    return this.format !== EXPORT_FORMATS.opus || OggOpusEncoder.isSupported(this.sampleRate, this.numChannels);
+  }
+
+  // `write` and `onProgress` work as in renderToEncoder
+  run(write, onProgress) {
+    const encoder = this.format.create({ sampleRate: this.sampleRate, numChannels: this.numChannels, numFrames: this.numFrames });
+    return renderToEncoder(this.renderer, encoder, this.numFrames, write, onProgress);
+  }
+}
@@ -0,0 +1,195 @@
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { createHash } from 'node:crypto';
+import { mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { after, before, describe, test } from 'node:test';
+import { fileURLToPath } from 'node:url';
+import { promisify } from 'node:util';
+import { FLACDecoder } from '@wasm-audio-decoders/flac';
+import {
+  PRESET_SCHEMA_VERSION, PresetExport, SampleRenderer, WavEncoder, getBeatAt, getExportOpts,
+  getTotalDuration, parsePresetsFile, presetToOpts,
+} from '../synth.js';
+
+const BWS = fileURLToPath(new URL('../bin/bws.js', import.meta.url));
+const run = promisify(execFile);
+
+const stage = (beat, minutes, extra = {}) =>
+  ({ beat, hours: 0, minutes, curve: 'linear', carrierHz: null, level: null, noiseLevel: null, ...extra });
+
+// A current-schema preset with every sound feature the renderer has
+function fullPreset(overrides = {}) {
+  return {
+    name: 'Wind Down', description: '', carrierHz: 300, startBeatHz: 10,
+    stages: [stage(6, 1, { curve: 'sigmoid' }), stage(4, 0)],
+    endAction: 'hold', exportSampleRate: 8000, exportFormat: 'wav16', muted: false, volume: 1,
+    beatMode: 'isochronic', startLevel: 1, fadeInSec: 1, fadeOutSec: 1, noiseType: 'pink', noiseLevel: 0.2,
+    pulseShape: 'triangle', pulseDuty: 0.5, pulseDepth: 1, pulseAttackMs: 5, pulseReleaseMs: 5,
+    panPattern: 'alternate', panSweepHz: 0.5, wakeUpBeatHz: null, wakeUpMinutes: 10,
+    ambientId: null, ambientName: '', ambientLevel: 0.5, ambientLoop: true, ambientCrossfadeSec: 2,
+    layers: [{ beatMode: 'binaural', carrierHz: 150, startBeatHz: 2, gain: 0.4, stages: [stage(3, 1)] }],
+    builtInId: null,
+    ...overrides,
+  };
+}
+
+const presetsFile = presets => JSON.stringify({ app: 'brainwave-sync', schemaVersion: PRESET_SCHEMA_VERSION, presets });
+
+// A PresetExport (what the app's Save button runs) collected in memory
+async function exportToBuffer(preset, options) {
+  const parts = [];
+  await new PresetExport(preset, options).run(async data => {
+    parts.push(Buffer.from(data instanceof Blob ? await data.arrayBuffer() : ArrayBuffer.isView(data) ? data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength) : data));
+  });
+  return Buffer.concat(parts);
+}
+
+describe('schedule', () => {
+  const opts = presetToOpts(fullPreset({ stages: [stage(4, 10), stage(8, 10, { curve: 'step' })], wakeUpBeatHz: 12, wakeUpMinutes: 5 }));
+
+  test('ramps the beat through each stage along its curve', () => {
+    assert.equal(getBeatAt(0, opts), 10);
+    assert.equal(getBeatAt(300, opts), 7);
+    assert.equal(getBeatAt(600, opts), 4);
+    assert.equal(getBeatAt(601, opts), 8); // Step stages jump at their start
+  });
+
+  test('adds the wake-up ramp after the last point and holds its beat', () => {
+    assert.equal(getTotalDuration(opts), 1500);
+    assert.equal(getBeatAt(1350, opts), 10); // Halfway up the eased ramp
+    assert.equal(getBeatAt(5000, opts), 12);
+  });
+
+  test('lasts as long as its longest layer', () => {
+    const layered = presetToOpts(fullPreset({ stages: [stage(4, 10)], layers: [{ ...fullPreset().layers[0], stages: [stage(3, 45)] }] }));
+    assert.equal(getTotalDuration(layered), 2700);
+  });
+});
+
+describe('presets file', () => {
+  test('migrates presets from older versions', () => {
+    const [preset] = parsePresetsFile(JSON.stringify([{ name: 'Old', carrierHz: 400, startBeatHz: 7, beatMode: 'binaural', stages: [{ beat: 5, hours: 0, minutes: 20 }] }]));
+    assert.equal(preset.beatMode, 'binaural');
+    assert.deepEqual(preset.layers, []);
+    assert.equal(preset.panPattern, 'off');
+    assert.equal(preset.builtInId, null);
+    assert.equal(preset.stages[0].curve, 'linear');
+  });
+
+  test('lists every problem with an invalid preset', () => {
+    assert.throws(() => parsePresetsFile(presetsFile([fullPreset({ carrierHz: -1, panPattern: 'circle' })])),
+      /carrierHz must be a number from 1 to 20000\n- presets\[0\]\.panPattern must be one of/);
+  });
+});
+
+describe('renderer', () => {
+  test('renders the same file every time, noise included', async () => {
+    const preset = fullPreset({ exportSampleRate: 4000 });
+    assert.ok((await exportToBuffer(preset)).equals(await exportToBuffer(preset)));
+  });
+
+  test('pulses at the beat rate, alternating between the channels', () => {
+    const opts = getExportOpts(fullPreset({ stages: [stage(5, 1)], startBeatHz: 5, noiseType: 'off', fadeInSec: 0, layers: [] }));
+    const [left, right] = new SampleRenderer(opts, 8000).render(8000);
+    // Each 200ms pulse period starts with a pulse on one side only
+    const energy = (data, from) => data.subarray(from, from + 800).reduce((sum, x) => sum + x * x, 0);
+    for (let pulse = 0; pulse < 5; pulse++) {
+      const [onSide, offSide] = pulse % 2 ? [right, left] : [left, right];
+      assert.ok(energy(onSide, pulse * 1600) > 100, `pulse ${pulse + 1} is missing`);
+      assert.ok(energy(offSide, pulse * 1600) < 1e-9, `pulse ${pulse + 1} leaks to the other side`);
+    }
+  });
+});
+
+describe('wav encoder', () => {
+  test('pads an odd-sized data chunk and counts the pad in the RIFF size', async () => {
+    const encoder = new WavEncoder({ sampleRate: 8000, numChannels: 1, numFrames: 3, bitsPerSample: 24 });
+    const header = Buffer.from(encoder.header());
+    const data = await encoder.encode([new Float32Array(3)]);
+    const pad = await encoder.finish();
+    assert.equal(header.readUInt32LE(40), 9);
+    assert.deepEqual([...pad], [0]);
+    assert.equal(header.readUInt32LE(4) + 8, header.length + data.byteLength + pad.byteLength);
+  });
+});
+
+describe('preset export', () => {
+  test('names the file after the preset, mode and format', () => {
+    const presetExport = new PresetExport(fullPreset({ name: 'Deep Sleep!', exportFormat: 'wav24' }));
+    assert.equal(presetExport.fileName, 'bws_deep_sleep__isochronic_24bit.wav');
+    assert.equal(presetExport.numFrames, 60 * 8000);
+    assert.equal(presetExport.numChannels, 2); // Alternating pulses and the binaural layer
+  });
+
+  test('rejects unknown formats and FLAC sample rates it cannot store', () => {
+    assert.throws(() => new PresetExport(fullPreset(), { formatName: 'mp3' }), /Unknown format "mp3"/);
+    assert.throws(() => new PresetExport(fullPreset(), { formatName: 'flac', sampleRate: 65537 }).run(() => {}), /65537 Hz/);
+  });
+
+  // FLAC is lossless, so it must decode to exactly the samples of the 16-bit WAV
+  for (const sampleRate of [8000, 11025, 12000, 44100, 64000]) {
+    test(`writes FLAC that decodes losslessly at ${sampleRate} Hz`, async () => {
+      const preset = fullPreset({ stages: [stage(6, 1)], layers: [] }); // Stereo from the alternating pulses
+      const flac = await exportToBuffer(preset, { sampleRate, formatName: 'flac' });
+      const wav = await exportToBuffer(preset, { sampleRate, formatName: 'wav16' });
+
+      const decoder = new FLACDecoder();
+      await decoder.ready;
+      const { channelData, samplesDecoded, sampleRate: decodedRate, errors } = await decoder.decodeFile(new Uint8Array(flac));
+      decoder.free();
+      assert.deepEqual(errors, []);
+      assert.equal(channelData.length, 2);
+      assert.equal(decodedRate, sampleRate);
+      assert.equal(samplesDecoded, 60 * sampleRate);
+      const pcm = new Int16Array(wav.buffer, wav.byteOffset + 44, (wav.length - 44) / 2);
+      for (let i = 0; i < pcm.length; i++) {
+        const decoded = Math.round(channelData[i % 2][Math.floor(i / 2)] * 32767); // The decoder scales by 1/32767
+        if (decoded !== pcm[i]) assert.fail(`sample ${i} decodes as ${decoded}, not ${pcm[i]}`);
+      }
+    });
+  }
+});
+
+describe('bws render', () => {
+  let dir;
+  before(async () => { dir = await mkdtemp(join(tmpdir(), 'bws-')); });
+  after(() => rm(dir, { recursive: true, force: true }));
+
+  // SHA-256 of fullPreset() at 8000 Hz as the app's Save button wrote it
+  // before synthesis moved into synth.js. A change here changes every export.
+  const REFERENCE_HASHES = {
+    wav16: '89cb581c1ebd8d5d54b3ef304d22eb783cd00a411223a30a63946e7c7c7b3d39',
+    wav24: 'be916c5b00bb792f01399336d63799d9dfeef2a1f54b40a5181c788adeb603b8',
+    wav32f: '7b5a255b90c72efbd8c1f7e4432982403253cd70bf4d0ff4f6f95894b3127859',
+    flac: '061a30e1ceb918b312203681bba8f47aae54e7dbb50eebb6a2a45a52c8dcea9f',
+  };
+  for (const [formatName, hash] of Object.entries(REFERENCE_HASHES)) {
+    test(`writes the same ${formatName} file as the app's export`, async () => {
+      const input = join(dir, `${formatName}.json`);
+      const output = join(dir, `${formatName}.out`);
+      await writeFile(input, presetsFile([fullPreset({ exportFormat: formatName })]));
+      await run(process.execPath, [BWS, 'render', input, '-q', '-o', output]);
+      assert.equal(createHash('sha256').update(await readFile(output)).digest('hex'), hash);
+    });
+  }
+
+  test("names files like the app when there is no --output", async () => {
+    const input = join(dir, 'named.json');
+    await writeFile(input, presetsFile([fullPreset({ stages: [stage(4, 1)], layers: [] }), fullPreset({ name: 'Focus', beatMode: 'binaural', stages: [stage(14, 1)], layers: [] })]));
+    await run(process.execPath, [BWS, 'render', input, '-q', '-p', 'Focus', '-r', '4000'], { cwd: dir });
+    const header = await readFile(join(dir, 'bws_focus_binaural.wav'));
+    assert.equal(header.toString('ascii', 0, 4), 'RIFF');
+    assert.equal(header.readUInt16LE(22), 2); // Binaural is stereo
+    assert.equal(header.readUInt32LE(24), 4000);
+    assert.equal(header.readUInt32LE(40), 60 * 4000 * 2 * 2);
+  });
+
+  test('refuses --output for several presets and unknown names', async () => {
+    const input = join(dir, 'two.json');
+    await writeFile(input, presetsFile([fullPreset(), fullPreset({ name: 'Focus' })]));
+    await assert.rejects(run(process.execPath, [BWS, 'render', input, '-o', join(dir, 'x.wav')]), /pick one with --preset/);
+    await assert.rejects(run(process.execPath, [BWS, 'render', input, '-p', 'Nope']), /no preset named "Nope"/);
+  });
+});
@@ -0,0 +1,33 @@
+// Writes precache-manifest.js for sw.js: every file the app needs offline,
+// with a hash of its contents as the revision. Run from anywhere after
+// changing any of these files:
+//
+//   node tools/precache.mjs
+import { createHash } from 'node:crypto';
+import { readFile, writeFile } from 'node:fs/promises';
+
+const ASSETS = [
+  'index.html',
+  'app.js',
+  'synth.js',
+  'manifest.webmanifest',
+  'icons/icon-24.png',
+  'icons/icon-192.png',
+  'icons/icon-256.png',
+  'icons/icon-512.png',
+  'images/screenshot1.png',
+  'images/screenshot2.png',
+];
+
+const root = new URL('../', import.meta.url);
+const hash = data => createHash('sha256').update(data).digest('hex').slice(0, 16);
+
+const assets = await Promise.all(ASSETS.map(async path => ({ url: `./${path}`, revision: hash(await readFile(new URL(path, root))) })));
+// The app is usually opened at the bare scope URL rather than index.html
+assets.unshift({ url: './', revision: assets[0].revision });
+const version = hash(assets.map(({ url, revision }) => `${url} ${revision}`).join('\n'));
+
+await writeFile(new URL('precache-manifest.js', root), `// Generated by tools/precache.mjs; do not edit.
+self.PRECACHE_MANIFEST = ${JSON.stringify({ version, assets }, null, 2)};
+`);
+console.log(`precache-manifest.js: ${assets.length} files, version ${version}`);